@@ -302,19 +302,33 @@ export class ToastManager {
 
   /**
    * Show API error toast with retry option
+   * Accepts a message or a NotionError, whose code, request id and suggested fix are included
    */
-  apiError(message, retryCallback, options = {}) {
+  apiError(error, retryCallback, options = {}) {
     const actions = retryCallback ? [{
       key: 'retry',
       label: 'Retry',
       callback: retryCallback
     }] : [];
 
+    let message = typeof error === 'string' ? error : error.message;
+    let title = options.title || 'API Error';
+
+    if (typeof error === 'object' && error.code) {
+      title = `${title}: ${error.code}`;
+      if (error.suggestion) {
+        message += ` — ${error.suggestion}`;
+      }
+      if (error.requestId) {
+        message += ` (request id: ${error.requestId})`;
+      }
+    }
+
     return this.show(message, 'error', {
-      title: 'API Error',
       actions,
       duration: 10000,
-      ...options
+      ...options,
+      title
     });
   }
 
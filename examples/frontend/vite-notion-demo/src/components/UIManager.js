@@ -3,11 +3,19 @@
  * Manages all UI components and tab interfaces for the Notion API demo
  */
 
+import { isAbortError } from '../utils/errors.js';
+import { where } from '../utils/filterBuilder.js';
+import { blocksToHtml, blocksToMarkdown } from '../utils/renderer.js';
+import { loadTemplateFromPage } from '../utils/templates.js';
+import { parseCsv, suggestMapping } from '../utils/csvImport.js';
+import { SyncEngine, createStorageStore } from '../utils/sync.js';
+
 export class UIManager {
   constructor() {
     this.currentTab = null;
     this.modalContainer = null;
     this.tabContent = null;
+    this.tabAbortController = null;
   }
 
   /**
@@ -24,9 +32,14 @@ export class UIManager {
 
   /**
    * Load content for a specific tab
+   * Requests still running from the previous tab are aborted; the tab gets an API view bound to a fresh signal
    */
-  async loadTabContent(tabName, api) {
+  async loadTabContent(tabName, baseApi) {
     this.currentTab = tabName;
+
+    this.tabAbortController?.abort();
+    this.tabAbortController = new AbortController();
+    const api = baseApi.withRequestOptions({ signal: this.tabAbortController.signal });
     
     switch (tabName) {
       case 'users':
@@ -148,9 +161,24 @@ export class UIManager {
       await this.executeApiCall('Get User', () => api.getUser(userId), 'users-results');
     });
 
-    // Workspace Stats
+    // Workspace Stats: show the cached numbers at once, then stream fresh counts until complete
     document.getElementById('workspace-stats-btn')?.addEventListener('click', async () => {
-      await this.executeApiCall('Workspace Stats', () => api.getWorkspaceStats(), 'users-results');
+      const storage = window.notionApiDemo.storage;
+      const showPartial = (stats) => this.showPartialResult('users-results', this.renderWorkspaceStats(stats));
+
+      await this.executeApiCall('Workspace Stats', async () => {
+        const cached = storage.getWorkspaceStats();
+        if (cached?.users) {
+          const note = `Cached from ${new Date(cached.updatedAt).toLocaleTimeString()}, refreshing...`;
+          this.showPartialResult('users-results', `<p class="text-sm text-gray-500">${note}</p>
+            ${this.renderWorkspaceStats(cached)}`);
+        }
+        const stats = await api.getWorkspaceStats({ onProgress: showPartial });
+        storage.saveWorkspaceStats(stats);
+        return stats;
+      }, 'users-results', {
+        views: [{ label: 'Summary', render: (stats) => this.renderWorkspaceStats(stats) }]
+      });
     });
   }
 
@@ -259,6 +287,149 @@ export class UIManager {
               </div>
             </div>
           </div>
+
+          <!-- Create from Template -->
+          <div class="bg-white rounded-lg shadow p-6 lg:col-span-2">
+            <h3 class="text-lg font-medium text-gray-900 mb-4">Create Page from Template</h3>
+            <p class="text-sm text-gray-600 mb-4">
+              Use {{placeholders}} in property values and content; dates like {{today+7d}} are computed
+            </p>
+            <div class="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              <div class="space-y-3">
+                <input
+                  type="text"
+                  id="template-database-id-input"
+                  placeholder="Target Database ID"
+                  class="form-input w-full"
+                />
+                <input
+                  type="text"
+                  id="template-page-id-input"
+                  placeholder="Template Page ID (or use JSON below)"
+                  class="form-input w-full"
+                />
+                <input type="file" id="template-file-input" accept=".json,application/json" class="text-sm" />
+                <textarea
+                  id="template-variables-input"
+                  placeholder='Variables as JSON, e.g. { "team": "Design" }'
+                  rows="3"
+                  class="form-textarea w-full font-mono text-sm"
+                ></textarea>
+              </div>
+              <div class="space-y-3">
+                <textarea
+                  id="template-json-input"
+                  placeholder='{ "properties": { "Name": "Report for {{team}}" }, "content": "# {{team}}" }'
+                  rows="7"
+                  class="form-textarea w-full font-mono text-sm"
+                ></textarea>
+                <button id="create-from-template-btn" class="btn-primary w-full">
+                  Create from Template
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <!-- Schema Migration -->
+          <div class="bg-white rounded-lg shadow p-6 lg:col-span-2">
+            <h3 class="text-lg font-medium text-gray-900 mb-4">Schema Migration</h3>
+            <p class="text-sm text-gray-600 mb-4">
+              Declare the schema as JSON, review the plan with a dry run, then apply it
+            </p>
+            <div class="space-y-3">
+              <input type="text" id="schema-database-id-input" placeholder="Database ID" class="form-input w-full" />
+              <textarea
+                id="schema-json-input"
+                placeholder='{ "properties": { "Name": "title", "Owner": { "type": "people" } } }'
+                rows="6"
+                class="form-textarea w-full font-mono text-sm"
+              ></textarea>
+              <label class="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="checkbox" id="schema-allow-removals" class="form-checkbox" />
+                <span>Delete properties that are not in the schema</span>
+              </label>
+              <div class="flex space-x-3">
+                <button id="schema-dry-run-btn" class="btn-secondary flex-1">Dry Run</button>
+                <button id="schema-apply-btn" class="btn-danger flex-1">Apply Migration</button>
+              </div>
+            </div>
+          </div>
+
+          <!-- Find and Upsert -->
+          <div class="bg-white rounded-lg shadow p-6 lg:col-span-2">
+            <h3 class="text-lg font-medium text-gray-900 mb-4">Find or Upsert Page</h3>
+            <p class="text-sm text-gray-600 mb-4">
+              Find pages whose properties equal these values, or update the page matching the key (or create it)
+            </p>
+            <div class="space-y-3">
+              <div class="grid grid-cols-1 lg:grid-cols-2 gap-3">
+                <input type="text" id="upsert-database-id-input" placeholder="Database ID" class="form-input" />
+                <input type="text" id="upsert-key-input" placeholder="Key property (for upsert)" class="form-input" />
+              </div>
+              <textarea
+                id="upsert-properties-input"
+                placeholder='{ "Email": "ada@example.com", "Status": "Active" }'
+                rows="4"
+                class="form-textarea w-full font-mono text-sm"
+              ></textarea>
+              <div class="flex space-x-3">
+                <button id="find-pages-btn" class="btn-secondary flex-1 justify-center">Find Pages</button>
+                <button id="upsert-page-btn" class="btn-primary flex-1 justify-center">Upsert Page</button>
+              </div>
+            </div>
+          </div>
+
+          <!-- Export Database -->
+          <div class="bg-white rounded-lg shadow p-6 lg:col-span-2">
+            <h3 class="text-lg font-medium text-gray-900 mb-4">Export Database</h3>
+            <p class="text-sm text-gray-600 mb-4">
+              Download every row with columns in schema order; people and relations are exported by name
+            </p>
+            <div class="grid grid-cols-1 lg:grid-cols-3 gap-3">
+              <input type="text" id="export-database-id-input" placeholder="Database ID" class="form-input" />
+              <select id="export-format" class="form-select">
+                <option value="csv">CSV</option>
+                <option value="excel">CSV for Excel</option>
+                <option value="jsonl">JSON Lines</option>
+              </select>
+              <button id="export-database-btn" class="btn-primary justify-center">Export</button>
+            </div>
+          </div>
+
+          <!-- Incremental Sync -->
+          <div class="bg-white rounded-lg shadow p-6 lg:col-span-2">
+            <h3 class="text-lg font-medium text-gray-900 mb-4">Incremental Sync</h3>
+            <p class="text-sm text-gray-600 mb-4">
+              The first sync loads every page; later syncs list only pages created, edited or removed since then
+            </p>
+            <div class="grid grid-cols-1 lg:grid-cols-3 gap-3">
+              <input type="text" id="sync-database-id-input" placeholder="Database ID" class="form-input" />
+              <button id="sync-database-btn" class="btn-primary justify-center">Sync Changes</button>
+              <button id="sync-reset-btn" class="btn-secondary justify-center">Reset Watermark</button>
+            </div>
+          </div>
+
+          <!-- Import CSV -->
+          <div class="bg-white rounded-lg shadow p-6 lg:col-span-2">
+            <h3 class="text-lg font-medium text-gray-900 mb-4">Import CSV</h3>
+            <p class="text-sm text-gray-600 mb-4">
+              Map CSV columns to database properties, validate with a dry run, then create or update pages
+            </p>
+            <div class="space-y-3">
+              <div class="grid grid-cols-1 lg:grid-cols-3 gap-3">
+                <input type="text" id="import-database-id-input" placeholder="Target Database ID" class="form-input" />
+                <input type="file" id="import-file-input" accept=".csv,.tsv,text/csv" class="form-input" />
+                <input type="text" id="import-upsert-key" placeholder="Upsert key (optional)" class="form-input" />
+              </div>
+              <button id="import-load-btn" class="btn-secondary w-full justify-center">Load Columns</button>
+              <div id="import-mapping" class="hidden space-y-2"></div>
+              <div class="flex space-x-3">
+                <button id="import-dry-run-btn" class="btn-secondary flex-1 justify-center">Dry Run</button>
+                <button id="import-run-btn" class="btn-primary flex-1 justify-center">Import</button>
+                <button id="import-resume-btn" class="btn-secondary flex-1 justify-center">Resume</button>
+              </div>
+            </div>
+          </div>
         </div>
 
         <!-- Results -->
@@ -321,15 +492,321 @@ export class UIManager {
         return;
       }
 
-      const filter = {
-        property: propertyName,
-        [propertyType]: { [filterType]: filterValue }
-      };
+      const value = propertyType === 'checkbox' ? filterValue.toLowerCase() === 'true' : filterValue;
+
+      let filter;
+      try {
+        filter = where(propertyName)[propertyType].condition(filterType, value);
+      } catch (error) {
+        window.notionApiDemo.toast.warning(`${error.message}. ${error.suggestion || ''}`);
+        return;
+      }
+
+      await this.executeApiCall(
+        'Advanced Query',
+        () => api.queryDatabase(databaseId, { filter, validate: true }),
+        'databases-results'
+      );
+    });
 
-      await this.executeApiCall('Advanced Query', () => api.queryDatabase(databaseId, { filter }), 'databases-results');
+    // Load a local template file into the JSON editor
+    document.getElementById('template-file-input')?.addEventListener('change', async (event) => {
+      const file = event.target.files?.[0];
+      if (file) {
+        document.getElementById('template-json-input').value = await file.text();
+      }
+    });
+
+    // Create from Template
+    document.getElementById('create-from-template-btn')?.addEventListener('click', async () => {
+      const databaseId = document.getElementById('template-database-id-input')?.value?.trim();
+      const templatePageId = document.getElementById('template-page-id-input')?.value?.trim();
+      const templateJson = document.getElementById('template-json-input')?.value?.trim();
+      const variablesJson = document.getElementById('template-variables-input')?.value?.trim();
+
+      if (!databaseId || (!templatePageId && !templateJson)) {
+        window.notionApiDemo.toast.warning('Please enter a database ID and a template page ID or template JSON');
+        return;
+      }
+
+      let variables = {};
+      try {
+        variables = variablesJson ? JSON.parse(variablesJson) : {};
+      } catch (error) {
+        window.notionApiDemo.toast.warning(`Variables are not valid JSON: ${error.message}`);
+        return;
+      }
+
+      await this.executeApiCall('Create from Template', async () => {
+        const template = templatePageId ? await loadTemplateFromPage(api, templatePageId) : templateJson;
+        return api.createPageFromTemplate(databaseId, template, variables);
+      }, 'databases-results');
+    });
+
+    // Schema Migration
+    const runMigration = async (dryRun) => {
+      const databaseId = document.getElementById('schema-database-id-input')?.value?.trim();
+      const schema = document.getElementById('schema-json-input')?.value?.trim();
+      const allowRemovals = document.getElementById('schema-allow-removals')?.checked;
+
+      if (!databaseId || !schema) {
+        window.notionApiDemo.toast.warning('Please enter a database ID and a schema');
+        return;
+      }
+      if (!dryRun && !confirm('Apply the migration to this database? Review the dry run first.')) {
+        return;
+      }
+
+      await this.executeApiCall(
+        dryRun ? 'Schema Dry Run' : 'Apply Migration',
+        () => api.migrateDatabase(databaseId, schema, { dryRun, allowRemovals }),
+        'databases-results',
+        { views: [{ label: 'Plan', render: (result) => `<pre>${this.escapeHtml(result.plan.summary)}</pre>` }] }
+      );
+    };
+
+    document.getElementById('schema-dry-run-btn')?.addEventListener('click', () => runMigration(true));
+    document.getElementById('schema-apply-btn')?.addEventListener('click', () => runMigration(false));
+
+    // Find and Upsert
+    const readUpsertForm = () => {
+      const databaseId = document.getElementById('upsert-database-id-input')?.value?.trim();
+      const json = document.getElementById('upsert-properties-input')?.value?.trim();
+      if (!databaseId || !json) {
+        window.notionApiDemo.toast.warning('Please enter a database ID and property values');
+        return null;
+      }
+      try {
+        return { databaseId, values: JSON.parse(json) };
+      } catch (error) {
+        window.notionApiDemo.toast.warning(`Property values are not valid JSON: ${error.message}`);
+        return null;
+      }
+    };
+
+    document.getElementById('find-pages-btn')?.addEventListener('click', async () => {
+      const form = readUpsertForm();
+      if (form) {
+        await this.executeApiCall('Find Pages', () => api.findPages(form.databaseId, form.values), 'databases-results');
+      }
+    });
+
+    document.getElementById('upsert-page-btn')?.addEventListener('click', async () => {
+      const form = readUpsertForm();
+      const keyProperty = document.getElementById('upsert-key-input')?.value?.trim();
+      if (form && !keyProperty) {
+        window.notionApiDemo.toast.warning('Please enter the key property');
+        return;
+      }
+      if (form) {
+        await this.executeApiCall(
+          'Upsert Page',
+          () => api.upsertPage(form.databaseId, keyProperty, form.values),
+          'databases-results'
+        );
+      }
+    });
+
+    // Export Database
+    document.getElementById('export-database-btn')?.addEventListener('click', async () => {
+      const databaseId = document.getElementById('export-database-id-input')?.value?.trim();
+      const format = document.getElementById('export-format')?.value;
+      if (!databaseId) {
+        window.notionApiDemo.toast.warning('Please enter a database ID');
+        return;
+      }
+
+      await this.executeApiCall('Export Database', async () => {
+        const { content, filename, mimeType, columns, rowCount } = await api.exportDatabase(databaseId, { format });
+        this.downloadFile(content, filename, mimeType);
+        return { filename, columns, rowCount, preview: content.split(/\r?\n/).slice(0, 6).join('\n') };
+      }, 'databases-results', {
+        views: [{ label: 'Preview', render: (result) => `<pre>${this.escapeHtml(result.preview)}</pre>` }]
+      });
+    });
+
+    // Import CSV
+    this.setupImportEventListeners(api);
+
+    // Incremental Sync
+    const sync = new SyncEngine(api, { store: createStorageStore(window.notionApiDemo.storage) });
+    const readSyncDatabaseId = () => {
+      const databaseId = document.getElementById('sync-database-id-input')?.value?.trim();
+      if (!databaseId) {
+        window.notionApiDemo.toast.warning('Please enter a database ID');
+      }
+      return databaseId;
+    };
+
+    document.getElementById('sync-database-btn')?.addEventListener('click', async () => {
+      const databaseId = readSyncDatabaseId();
+      if (!databaseId) {
+        return;
+      }
+      await this.executeApiCall('Sync Changes', async () => {
+        const result = await sync.sync(databaseId);
+        // Keep the JSON view small: page objects are summarized by their title
+        const changes = result.changes.map(({ page, ...change }) => ({
+          ...change,
+          title: page ? api.extractPlainText(Object.values(page.properties).find(p => p.type === 'title')?.title) : null
+        }));
+        return { ...result, changes };
+      }, 'databases-results', {
+        views: [{
+          label: 'Changes',
+          render: (result) => `<pre>${this.escapeHtml(result.changes.map(change =>
+            `${change.type.padEnd(6)} ${change.title ?? change.pageId}${change.reason ? ` (${change.reason})` : ''}`
+          ).join('\n') || 'No changes since the last sync')}</pre>`
+        }]
+      });
+    });
+
+    document.getElementById('sync-reset-btn')?.addEventListener('click', async () => {
+      const databaseId = readSyncDatabaseId();
+      if (databaseId) {
+        await sync.reset(databaseId);
+        window.notionApiDemo.toast.info('The next sync will load every page');
+      }
     });
   }
 
+  /**
+   * Setup the CSV import card: column mapping, dry run, import and resume
+   */
+  setupImportEventListeners(api) {
+    const storage = window.notionApiDemo.storage;
+    const toast = window.notionApiDemo.toast;
+    let loaded = null;
+
+    document.getElementById('import-load-btn')?.addEventListener('click', async () => {
+      const databaseId = document.getElementById('import-database-id-input')?.value?.trim();
+      const file = document.getElementById('import-file-input')?.files?.[0];
+      if (!databaseId || !file) {
+        toast.warning('Please enter a database ID and choose a CSV file');
+        return;
+      }
+
+      try {
+        const csv = parseCsv(await file.text());
+        const database = await api.getDatabase(databaseId);
+        loaded = { databaseId, csv };
+        this.renderImportMapping(csv.headers, database, suggestMapping(csv.headers, database));
+        toast.info(`Loaded ${csv.rows.length} rows with ${csv.headers.length} columns`);
+      } catch (error) {
+        toast.error(`${error.message}${error.suggestion ? `. ${error.suggestion}` : ''}`);
+      }
+    });
+
+    const runImport = async ({ dryRun = false, resume = false } = {}) => {
+      const databaseId = document.getElementById('import-database-id-input')?.value?.trim();
+      if (!loaded || loaded.databaseId !== databaseId) {
+        toast.warning('Load the CSV columns for this database first');
+        return;
+      }
+
+      let startRow = 0;
+      if (resume) {
+        const saved = storage.getImportProgress(databaseId);
+        if (!saved || saved.total !== loaded.csv.rows.length || saved.headers.join() !== loaded.csv.headers.join()) {
+          toast.warning('No interrupted import of this file was found');
+          return;
+        }
+        startRow = saved.nextRow;
+      }
+
+      const mapping = {};
+      document.querySelectorAll('#import-mapping select[data-column]').forEach(select => {
+        if (select.value) {
+          mapping[select.dataset.column] = select.value;
+        }
+      });
+      const upsertKey = document.getElementById('import-upsert-key')?.value?.trim() || null;
+
+      let progressToast = null;
+      const run = async () => {
+        try {
+          const report = await api.importCsv(databaseId, loaded.csv, {
+            mapping,
+            upsertKey,
+            dryRun,
+            startRow,
+            onProgress: ({ row, total, percent, failed }) => {
+              const message = `Row ${row} of ${loaded.csv.rows.length} (${failed} failed)`;
+              progressToast = toast.progress(message, total ? percent : 100, progressToast);
+            }
+          });
+          if (!dryRun) {
+            storage.clearImportProgress(databaseId);
+          }
+          return report;
+        } catch (error) {
+          if (error.partialResult && !dryRun) {
+            const { nextRow, total } = error.partialResult;
+            storage.saveImportProgress(databaseId, { nextRow, total, headers: loaded.csv.headers });
+            error.suggestion = `${error.suggestion || ''} Use Resume to continue from row ${nextRow + 1}.`.trim();
+          }
+          throw error;
+        } finally {
+          if (progressToast) {
+            toast.hide(progressToast);
+          }
+        }
+      };
+
+      await this.executeApiCall(dryRun ? 'Import Dry Run' : 'Import CSV', run, 'databases-results', {
+        views: [{ label: 'Report', render: (report) => this.renderImportReport(report) }]
+      });
+    };
+
+    document.getElementById('import-dry-run-btn')?.addEventListener('click', () => runImport({ dryRun: true }));
+    document.getElementById('import-run-btn')?.addEventListener('click', () => runImport());
+    document.getElementById('import-resume-btn')?.addEventListener('click', () => runImport({ resume: true }));
+  }
+
+  /**
+   * Render one property select per CSV column
+   */
+  renderImportMapping(headers, database, mapping) {
+    const container = document.getElementById('import-mapping');
+    const names = Object.keys(database.properties);
+    container.innerHTML = headers.map(header => `
+      <div class="grid grid-cols-2 gap-3 items-center">
+        <span class="text-sm text-gray-700 truncate">${this.escapeHtml(header)}</span>
+        <select class="form-select" data-column="${this.escapeHtml(header)}">
+          <option value="">Skip column</option>
+          ${names.map(name => `
+            <option value="${this.escapeHtml(name)}" ${mapping[header] === name ? 'selected' : ''}>
+              ${this.escapeHtml(name)} (${database.properties[name].type})
+            </option>
+          `).join('')}
+        </select>
+      </div>
+    `).join('');
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * Summarize an import report with its per-row errors
+   */
+  renderImportReport(report) {
+    const verb = report.dryRun ? 'would be' : 'were';
+    const summary = `${report.created} pages ${verb} created, ${report.updated} ${verb} updated, `
+      + `${report.skipped} blank rows skipped, ${report.errors.length} rows failed`;
+    const rows = report.errors.map(error => `
+      <tr>
+        <td>${error.row}</td>
+        <td>${error.line}</td>
+        <td>${this.escapeHtml(error.column || '')}</td>
+        <td>${this.escapeHtml(error.message)}</td>
+      </tr>
+    `).join('');
+    const header = '<tr><th>Row</th><th>Line</th><th>Column</th><th>Error</th></tr>';
+    return `
+      <p class="mb-2">${summary}</p>
+      ${rows ? `<table class="text-left">${header}${rows}</table>` : ''}
+    `;
+  }
+
   /**
    * Render Pages tab interface
    */
@@ -407,8 +884,8 @@ export class UIManager {
               <div class="space-y-3">
                 <textarea
                   id="create-page-content-input"
-                  placeholder="Page content (optional)"
-                  rows="4"
+                  placeholder="Page content in Markdown (optional): headings, lists, tasks, code fences, tables"
+                  rows="6"
                   class="form-textarea w-full"
                 ></textarea>
                 <button id="create-page-btn" class="btn-primary w-full">
@@ -442,6 +919,12 @@ export class UIManager {
                   class="form-input"
                 />
               </div>
+              <input
+                type="text"
+                id="update-page-since-input"
+                placeholder="Only if unmodified since (last_edited_time from Get Page, optional)"
+                class="form-input w-full"
+              />
               <div class="flex space-x-3">
                 <button id="update-page-btn" class="btn-primary flex-1">
                   Update Page
@@ -452,6 +935,30 @@ export class UIManager {
               </div>
             </div>
           </div>
+
+          <!-- Duplicate Page -->
+          <div class="bg-white rounded-lg shadow p-6 lg:col-span-2">
+            <h3 class="text-lg font-medium text-gray-900 mb-4">Duplicate Page</h3>
+            <p class="text-sm text-gray-600 mb-4">Copy a page, its properties and all nested blocks to a new parent</p>
+            <div class="grid grid-cols-1 lg:grid-cols-2 gap-3">
+              <input type="text" id="duplicate-source-id-input" placeholder="Source Page ID" class="form-input" />
+              <input
+                type="text"
+                id="duplicate-parent-id-input"
+                placeholder="Target Page/Database ID"
+                class="form-input"
+              />
+              <select id="duplicate-parent-type" class="form-select">
+                <option value="page_id">Target is a Page</option>
+                <option value="database_id">Target is a Database</option>
+              </select>
+              <label class="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="checkbox" id="duplicate-child-pages" class="form-checkbox" />
+                <span>Also duplicate child pages</span>
+              </label>
+            </div>
+            <button id="duplicate-page-btn" class="btn-primary w-full mt-3">Duplicate Page</button>
+          </div>
         </div>
 
         <!-- Results -->
@@ -514,9 +1021,12 @@ export class UIManager {
         }
       };
 
-      const children = content ? [api.createParagraphBlock(content)] : [];
-
-      await this.executeApiCall('Create Page', () => api.createPage(parent, properties, children), 'pages-results');
+      // Content is Markdown; createPage converts it to blocks
+      await this.executeApiCall(
+        'Create Page',
+        () => api.createPage(parent, properties, content || []),
+        'pages-results'
+      );
     });
 
     // Update Page
@@ -524,6 +1034,7 @@ export class UIManager {
       const pageId = document.getElementById('update-page-id-input')?.value?.trim();
       const propertyName = document.getElementById('update-property-name-input')?.value?.trim();
       const propertyValue = document.getElementById('update-property-value-input')?.value?.trim();
+      const since = document.getElementById('update-page-since-input')?.value?.trim();
 
       if (!pageId) {
         window.notionApiDemo.toast.warning('Please enter a page ID');
@@ -537,7 +1048,13 @@ export class UIManager {
         };
       }
 
-      await this.executeApiCall('Update Page', () => api.updatePage(pageId, properties), 'pages-results');
+      // With a timestamp the update fails with a conflict if someone edited the page after it
+      const requestOptions = since ? { ifUnmodifiedSince: since } : {};
+      await this.executeApiCall(
+        'Update Page',
+        () => api.updatePage(pageId, properties, null, requestOptions),
+        'pages-results'
+      );
     });
 
     // Archive Page
@@ -553,6 +1070,29 @@ export class UIManager {
         await this.executeApiCall('Archive Page', () => api.archivePage(pageId), 'pages-results');
       }
     });
+
+    // Duplicate Page
+    document.getElementById('duplicate-page-btn')?.addEventListener('click', async () => {
+      const sourceId = document.getElementById('duplicate-source-id-input')?.value?.trim();
+      const parentId = document.getElementById('duplicate-parent-id-input')?.value?.trim();
+      const parentType = document.getElementById('duplicate-parent-type')?.value;
+      const childPages = document.getElementById('duplicate-child-pages')?.checked;
+
+      if (!sourceId || !parentId) {
+        window.notionApiDemo.toast.warning('Please enter source page ID and target parent ID');
+        return;
+      }
+
+      await this.executeApiCall('Duplicate Page', async () => {
+        const result = await api.duplicatePage(sourceId, { type: parentType, [parentType]: parentId }, { childPages });
+        if (result.skipped.length > 0 || result.skippedProperties.length > 0) {
+          window.notionApiDemo.toast.warning(
+            `${result.skipped.length} blocks and ${result.skippedProperties.length} properties could not be copied`
+          );
+        }
+        return result;
+      }, 'pages-results');
+    });
   }
 
   /**
@@ -754,6 +1294,15 @@ export class UIManager {
               <button id="get-block-btn" class="btn-primary w-full">Get Block</button>
             </div>
           </div>
+
+          <div class="bg-white rounded-lg shadow p-6 lg:col-span-2">
+            <h3 class="text-lg font-medium text-gray-900 mb-4">Render Page</h3>
+            <p class="text-sm text-gray-600 mb-4">Fetch all nested blocks and view them as HTML or Markdown</p>
+            <div class="flex space-x-3">
+              <input type="text" id="render-page-id-input" placeholder="Page/Block ID" class="form-input flex-1" />
+              <button id="render-page-btn" class="btn-primary">Render</button>
+            </div>
+          </div>
         </div>
 
         <div id="blocks-results" class="hidden">
@@ -783,6 +1332,37 @@ export class UIManager {
       }
       await this.executeApiCall('Get Block', () => api.getBlock(blockId), 'blocks-results');
     });
+
+    document.getElementById('render-page-btn')?.addEventListener('click', async () => {
+      const blockId = document.getElementById('render-page-id-input')?.value?.trim();
+      if (!blockId) {
+        window.notionApiDemo.toast.warning('Please enter a page or block ID');
+        return;
+      }
+      const toast = window.notionApiDemo.toast;
+      let progressToast = null;
+      const fetchTree = async () => {
+        try {
+          return await api.getPageTree(blockId, {
+            onProgress: ({ fetched, pending, blocks, percent }) => {
+              const message = `Fetched ${blocks} blocks (${fetched} done, ${pending} pending)`;
+              progressToast = toast.progress(message, percent, progressToast);
+            }
+          });
+        } finally {
+          if (progressToast) {
+            toast.hide(progressToast);
+          }
+        }
+      };
+
+      await this.executeApiCall('Render Page', fetchTree, 'blocks-results', {
+        views: [
+          { label: 'Rendered', render: (tree) => `<div class="notion-rendered">${blocksToHtml(tree)}</div>` },
+          { label: 'Markdown', render: (tree) => `<pre>${this.escapeHtml(blocksToMarkdown(tree))}</pre>` }
+        ]
+      });
+    });
   }
 
   /**
@@ -850,8 +1430,9 @@ export class UIManager {
 
   /**
    * Execute an API call with loading state and error handling
+   * @param {Object} options - { views: [{ label, render(result) => html }] } shown next to the JSON view
    */
-  async executeApiCall(operationName, apiCall, resultsContainerId) {
+  async executeApiCall(operationName, apiCall, resultsContainerId, options = {}) {
     const resultsContainer = document.getElementById(resultsContainerId);
     const resultsContent = document.getElementById(`${resultsContainerId}-content`);
 
@@ -869,6 +1450,7 @@ export class UIManager {
           <div class="text-center">
             <div class="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-notion-600 border-r-transparent"></div>
             <p class="mt-4 text-gray-600">Executing ${operationName}...</p>
+            <div data-partial-result class="mt-4 text-left"></div>
           </div>
         </div>
       `;
@@ -877,6 +1459,11 @@ export class UIManager {
       const result = await apiCall();
       const duration = Date.now() - startTime;
 
+      // Skip results that arrive after their tab was replaced
+      if (!resultsContent.isConnected) {
+        return;
+      }
+
       // Show success result
       resultsContent.className = 'result-container success';
       resultsContent.innerHTML = `
@@ -885,9 +1472,13 @@ export class UIManager {
             <h4 class="font-medium text-green-800">${operationName} - Success</h4>
             <span class="text-sm text-green-600">${duration}ms</span>
           </div>
-          <div class="json-viewer custom-scrollbar">
+          ${this.renderViewTabs(options.views)}
+          <div class="json-viewer custom-scrollbar" data-view="JSON">
             <pre>${JSON.stringify(result, null, 2)}</pre>
           </div>
+          ${(options.views || []).map(view => `
+            <div class="json-viewer custom-scrollbar hidden" data-view="${view.label}">${view.render(result)}</div>
+          `).join('')}
           <div class="flex space-x-2">
             <button onclick="navigator.clipboard.writeText(JSON.stringify(${JSON.stringify(result)}, null, 2))" class="btn-secondary text-xs">
               Copy JSON
@@ -899,9 +1490,15 @@ export class UIManager {
         </div>
       `;
 
+      this.setupViewTabs(resultsContent, options.views);
       window.notionApiDemo.toast.success(`${operationName} completed successfully`);
 
     } catch (error) {
+      // The tab was switched away; its DOM is gone or about to be replaced
+      if (isAbortError(error)) {
+        return;
+      }
+
       // Show error result
       resultsContent.className = 'result-container error';
       resultsContent.innerHTML = `
@@ -912,8 +1509,9 @@ export class UIManager {
           </div>
           <div class="text-red-700">
             <p class="font-medium">Error Message:</p>
-            <p class="mt-1">${error.message}</p>
+            <p class="mt-1">${this.escapeHtml(error.message)}</p>
           </div>
+          ${this.renderErrorDetails(error)}
           ${error.stack ? `
             <details class="text-sm">
               <summary class="cursor-pointer text-red-600">Stack Trace</summary>
@@ -923,10 +1521,85 @@ export class UIManager {
         </div>
       `;
 
-      window.notionApiDemo.toast.error(`${operationName} failed: ${error.message}`);
+      window.notionApiDemo.toast.apiError(
+        error,
+        () => this.executeApiCall(operationName, apiCall, resultsContainerId),
+        { title: `${operationName} failed` }
+      );
     }
   }
 
+  /**
+   * Render JSON/alternative view switcher for a result
+   */
+  renderViewTabs(views) {
+    if (!views || views.length === 0) {
+      return '';
+    }
+    return `
+      <div class="flex space-x-2" role="tablist">
+        ${['JSON', ...views.map(view => view.label)].map((label, index) => `
+          <button class="${index === 0 ? 'btn-primary' : 'btn-secondary'} text-xs" data-view-tab="${label}">
+            ${label}
+          </button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Switch between the JSON view and alternative views of a result
+   */
+  setupViewTabs(container, views) {
+    if (!views || views.length === 0) {
+      return;
+    }
+    const tabs = container.querySelectorAll('[data-view-tab]');
+    tabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        tabs.forEach(other => {
+          other.className = `${other === tab ? 'btn-primary' : 'btn-secondary'} text-xs`;
+        });
+        container.querySelectorAll('[data-view]').forEach(view => {
+          view.classList.toggle('hidden', view.dataset.view !== tab.dataset.viewTab);
+        });
+      });
+    });
+  }
+
+  /**
+   * Render Notion error code, request id and suggested fix for a NotionError
+   */
+  renderErrorDetails(error) {
+    if (!error.code && !error.requestId && !error.suggestion) {
+      return '';
+    }
+
+    const rows = [
+      ['Status', error.status],
+      ['Code', error.code],
+      ['Request ID', error.requestId],
+      ['Retryable', error.isRetryable === undefined ? null : (error.isRetryable ? 'Yes' : 'No')]
+    ].filter(([, value]) => value !== null && value !== undefined);
+
+    return `
+      <dl class="grid grid-cols-3 gap-x-4 gap-y-1 text-sm text-red-700">
+        ${rows.map(([label, value]) => `
+          <dt class="font-medium">${label}</dt>
+          <dd class="col-span-2 font-mono break-all">${this.escapeHtml(String(value))}</dd>
+        `).join('')}
+      </dl>
+      ${error.notionMessage && error.notionMessage !== error.message ? `
+        <p class="text-sm text-red-600">Notion: ${this.escapeHtml(error.notionMessage)}</p>
+      ` : ''}
+      ${error.suggestion ? `
+        <div class="rounded-md bg-red-100 p-3 text-sm text-red-800">
+          <span class="font-medium">Suggested fix:</span> ${this.escapeHtml(error.suggestion)}
+        </div>
+      ` : ''}
+    `;
+  }
+
   /**
    * Render error tab
    */
@@ -970,6 +1643,56 @@ export class UIManager {
     }
   }
 
+  /**
+   * Show partial results under the loading indicator while an API call is still running
+   */
+  showPartialResult(resultsContainerId, html) {
+    const slot = document.querySelector(`#${resultsContainerId}-content [data-partial-result]`);
+    if (slot) {
+      slot.innerHTML = html;
+    }
+  }
+
+  /**
+   * Summarize workspace statistics: user and item counts, recent edits and the largest databases
+   */
+  renderWorkspaceStats(stats) {
+    const recent = stats.recent.map(item => `
+      <li>${this.escapeHtml(item.title || 'Untitled')} <span class="text-gray-500">(${item.object},
+        ${new Date(item.lastEditedTime).toLocaleString()})</span></li>
+    `).join('');
+    const list = (items) => `<ul class="list-disc pl-5">${items}</ul>`;
+    const databases = stats.byDatabase.slice(0, 10).map(entry => `
+      <li>${this.escapeHtml(entry.title || entry.databaseId)}: ${entry.pages} pages</li>
+    `).join('');
+
+    return `
+      <div class="space-y-3 font-sans">
+        <p>
+          <strong>${stats.users.total}</strong> users (${stats.users.people} people, ${stats.users.bots} bots),
+          <strong>${stats.pages}</strong> pages and <strong>${stats.databases}</strong> databases
+          ${stats.complete ? '' : '<span class="text-gray-500">(still counting)</span>'}
+        </p>
+        ${recent ? `<h5 class="font-medium">Recently edited</h5>${list(recent)}` : ''}
+        ${databases ? `<h5 class="font-medium">Pages per database</h5>${list(databases)}` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Save generated text as a file download
+   */
+  downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Escape HTML to prevent XSS
    */
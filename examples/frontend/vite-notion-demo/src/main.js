@@ -8,16 +8,21 @@ import { NotionAPI } from './utils/api.js';
 import { UIManager } from './components/UIManager.js';
 import { ToastManager } from './components/ToastManager.js';
 import { StorageManager } from './utils/storage.js';
+import { createCachePlugin, createStorageCacheStore } from './utils/cache.js';
 
 /**
  * Application class that orchestrates the entire demo
  */
 class NotionAPIDemo {
   constructor() {
-    this.api = new NotionAPI();
+    // Request logging is a plugin; the demo keeps it on for the browser console
+    this.api = new NotionAPI({ logger: console });
     this.ui = new UIManager();
     this.toast = new ToastManager();
     this.storage = new StorageManager();
+    // Cache read endpoints in memory and localStorage; edits made through the demo invalidate them
+    this.cache = createCachePlugin({ store: createStorageCacheStore(this.storage) });
+    this.api.use(this.cache);
     this.currentTab = 'users';
     this.isInitialized = false;
   }
@@ -48,6 +53,9 @@ class NotionAPIDemo {
       
       // Setup event listeners
       this.setupEventListeners();
+
+      // Show rate limiter queue depth in the header
+      this.api.rateLimiter.subscribe((metrics) => this.updateQueueStatus(metrics));
       
       // Initialize the current tab
       await this.loadTab(this.currentTab);
@@ -145,7 +153,8 @@ class NotionAPIDemo {
       saveBtn.textContent = 'Validating...';
       saveBtn.disabled = true;
 
-      // Set token and validate
+      // Set token and validate (cached responses may belong to another workspace)
+      await this.cache.clear();
       this.api.setToken(token);
       
       // Test the token by fetching bot user info
@@ -275,6 +284,27 @@ class NotionAPIDemo {
     }
   }
 
+  /**
+   * Update rate limiter queue indicator
+   */
+  updateQueueStatus(metrics) {
+    const queueStatus = document.getElementById('queue-status');
+    const queueText = document.getElementById('queue-status-text');
+    if (!queueStatus || !queueText) {
+      return;
+    }
+
+    if (metrics.queued === 0 && metrics.active === 0) {
+      queueStatus.classList.add('hidden');
+      return;
+    }
+
+    const { interactive, background } = metrics.queuedByPriority;
+    const backgroundText = background > 0 ? ` (+${background} background)` : '';
+    queueText.textContent = `${metrics.active} active · ${interactive} queued${backgroundText}`;
+    queueStatus.classList.remove('hidden');
+  }
+
   /**
    * Show settings modal
    */
@@ -4,32 +4,139 @@
  */
 
 import axios from 'axios';
+import { RateLimiter } from './rateLimiter.js';
+import { DEFAULT_NOTION_VERSION, defaultBaseURL } from './environment.js';
+import { createFetchAdapter } from './fetchAdapter.js';
+import { createLoggingPlugin } from './plugins.js';
+import { guardUpdate } from './concurrency.js';
+import { OperationJournal } from './journal.js';
+import {
+  NotionConflictError,
+  NotionError,
+  NotionValidationError,
+  createAbortError,
+  createNotionError
+} from './errors.js';
+import { Filter, matchCriteria, sortByTimestamp, validateQuery } from './filterBuilder.js';
+import { createRichText, extractPlainText, toWritableRichText } from './richText.js';
+import {
+  READ_ONLY_PROPERTY_TYPES,
+  fromNotionProperty,
+  isNotionProperty,
+  toNotionProperties,
+  toNotionProperty,
+  toWritableProperties
+} from './properties.js';
+import * as blocks from './blocks.js';
+import { markdownToBlocks } from './markdown.js';
+import { instantiateTemplate } from './templates.js';
+import { diffSchema, formatPlan } from './schema.js';
+import { exportDatabase } from './export.js';
+import { UPSERT_KEY_TYPES, importCsv } from './csvImport.js';
 
 /**
  * NotionAPI class that handles all API interactions
  */
 export class NotionAPI {
-  constructor() {
+  /**
+   * @param {Object} options - { token, baseURL, version, timeout, adapter, fetch, logger, logLevel }
+   *   baseURL defaults to defaultBaseURL() (see environment.js); adapter is an axios adapter ('fetch',
+   *   'http', 'xhr' or a function) and fetch a fetch implementation to send requests with; logger (an
+   *   object with debug/info/warn/error methods, e.g. console) installs the logging plugin at logLevel
+   */
+  constructor(options = {}) {
+    const {
+      token = null,
+      baseURL = defaultBaseURL(),
+      version = DEFAULT_NOTION_VERSION,
+      timeout = 30000,
+      adapter = null,
+      fetch = null,
+      logger = null,
+      logLevel = 'info'
+    } = options;
+
     this.token = null;
-    this.version = '2022-06-28';
-    // Use Netlify function URL for production, fallback to original for local dev
-    this.baseURL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' 
-      ? '/api/notion/v1' 
-      : '/.netlify/functions/notion-proxy';
-    this.retryAttempts = 3;
-    this.retryDelay = 1000; // ms
+    this.version = version;
+    this.baseURL = baseURL;
+
+    // Installed plugins, see use()
+    this.plugins = [];
+
+    // Request options applied to every call ({ signal, timeout, retry, priority }), see withRequestOptions
+    this.defaultRequestOptions = {};
+
+    // Retry policy applied by makeRequest; override per call with { retry }
+    this.retryPolicy = {
+      maxAttempts: 3,
+      baseDelay: 1000, // ms, doubled on every attempt
+      maxDelay: 30000, // ms, cap for a single wait
+      maxTotalDelay: 60000, // ms, give up once waits would exceed this
+      jitter: true,
+      respectRetryAfter: true,
+      retryOnStatus: [429, 500, 502, 503, 504],
+      retryOnTimeout: true
+    };
+
+    // Shared scheduler; Notion allows roughly 3 requests per second per integration
+    this.rateLimiter = new RateLimiter({ rate: 3, burst: 3, maxConcurrent: 3 });
     
     // Create axios instance with default config
-    this.client = axios.create({
+    const clientConfig = {
       baseURL: this.baseURL,
-      timeout: 30000,
+      timeout,
       headers: {
         'Content-Type': 'application/json',
+        'Notion-Version': this.version
       }
-    });
+    };
+    if (adapter || fetch) {
+      clientConfig.adapter = adapter || createFetchAdapter(fetch);
+    }
+    this.client = axios.create(clientConfig);
 
     // Setup request/response interceptors
     this.setupInterceptors();
+
+    if (logger) {
+      this.use(createLoggingPlugin({ logger, level: logLevel }));
+    }
+
+    if (token) {
+      this.setToken(token);
+    }
+  }
+
+  /**
+   * Install a plugin (see plugins.js for the hooks)
+   * @param {Object|Function} plugin - Hook object, or a function that receives this client and returns one
+   * @returns {Function} Function that uninstalls the plugin
+   */
+  use(plugin) {
+    const hooks = typeof plugin === 'function' ? plugin(this) : plugin;
+    this.plugins.push(hooks);
+    return () => {
+      const index = this.plugins.indexOf(hooks);
+      if (index !== -1) {
+        this.plugins.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Run a hook of every plugin that defines it, in install order or in reverse
+   * @returns {Promise<*>} The first value a hook returned
+   */
+  async runHook(name, reverse, ...args) {
+    const plugins = reverse ? [...this.plugins].reverse() : [...this.plugins];
+    let result;
+    for (const plugin of plugins) {
+      if (typeof plugin[name] === 'function') {
+        const value = await plugin[name](...args);
+        result = result === undefined ? value : result;
+      }
+    }
+    return result;
   }
 
   /**
@@ -41,108 +148,283 @@ export class NotionAPI {
     this.client.defaults.headers['Notion-Version'] = this.version;
   }
 
+  /**
+   * Change the Notion-Version header sent with every request
+   */
+  setVersion(version) {
+    this.version = version;
+    this.client.defaults.headers['Notion-Version'] = version;
+  }
+
+  /**
+   * Update rate limiter settings ({ rate, burst, maxConcurrent })
+   */
+  setRateLimit(options) {
+    this.rateLimiter.configure(options);
+  }
+
   /**
    * Setup axios interceptors for request/response handling
    */
   setupInterceptors() {
-    // Request interceptor
-    this.client.interceptors.request.use(
-      (config) => {
-        console.log(`🔄 API Request: ${config.method?.toUpperCase()} ${config.url}`);
-        return config;
-      },
-      (error) => {
-        console.error('❌ Request Error:', error);
-        return Promise.reject(error);
-      }
-    );
+    // Rate limit interceptor (registered first so it runs last, right before dispatch)
+    this.client.interceptors.request.use(async (config) => {
+      config.releaseSlot = await this.rateLimiter.acquire(config.priority, config.signal);
+      return config;
+    });
 
-    // Response interceptor
+    // Release the rate limiter slot once the request settles; logging and other per-call hooks are
+    // plugins run by makeRequest
     this.client.interceptors.response.use(
       (response) => {
-        console.log(`✅ API Response: ${response.status} ${response.config.url}`);
+        response.config.releaseSlot?.();
         return response;
       },
       (error) => {
-        console.error('❌ Response Error:', error.response?.status, error.response?.data);
-        return Promise.reject(this.formatError(error));
+        error.config?.releaseSlot?.();
+        // Errors are formatted in makeRequest once retries are exhausted
+        return Promise.reject(error);
       }
     );
   }
 
   /**
-   * Format API errors into user-friendly messages
+   * Format API errors into typed NotionError instances with user-friendly messages
    */
   formatError(error) {
-    if (!error.response) {
-      // More specific error handling for different types of network issues
-      if (error.code === 'ERR_NETWORK' || error.message?.includes('CORS')) {
-        return new Error('CORS Error: Direct API requests from localhost are blocked. Consider deploying to a hosted domain or using a proxy server.');
-      }
-      if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) {
-        return new Error('Request timeout: The API request took too long to complete');
-      }
-      if (error.message?.includes('ERR_CONNECTION_REFUSED')) {
-        return new Error('Connection refused: Unable to reach the Notion API servers');
+    return createNotionError(error);
+  }
+
+  /**
+   * Update the default retry policy
+   */
+  setRetryPolicy(policy) {
+    this.retryPolicy = { ...this.retryPolicy, ...policy };
+  }
+
+  /**
+   * Resolve the retry policy for a single call
+   * @param {boolean|Object} override - false disables retries, an object overrides policy fields
+   */
+  resolveRetryPolicy(override) {
+    if (override === false) {
+      return { ...this.retryPolicy, maxAttempts: 1 };
+    }
+    if (override && typeof override === 'object') {
+      return { ...this.retryPolicy, ...override };
+    }
+    return this.retryPolicy;
+  }
+
+  /**
+   * Check whether a raw axios error should be retried under a policy
+   */
+  isRetryableError(error, policy) {
+    if (error.response) {
+      return policy.retryOnStatus.includes(error.response.status);
+    }
+    return policy.retryOnTimeout && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT');
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Compute the wait before the next attempt: Retry-After when sent, otherwise
+   * exponential backoff with equal jitter
+   */
+  getRetryDelay(error, attempt, policy) {
+    if (policy.respectRetryAfter) {
+      const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+      if (retryAfter !== null) {
+        return retryAfter;
       }
-      
-      // Generic network error as fallback
-      console.error('Network error details:', error);
-      return new Error(`Connection error: ${error.message || 'Unable to connect to Notion API'}. This may be due to CORS restrictions when running from localhost.`);
     }
 
-    const { status, data } = error.response;
-    
-    // Handle specific error codes
-    switch (status) {
-      case 400:
-        return new Error(`Bad Request: ${data?.message || 'Invalid request parameters'}`);
-      case 401:
-        return new Error('Authentication failed: Please check your API token');
-      case 403:
-        return new Error('Access denied: Insufficient permissions for this resource');
-      case 404:
-        return new Error('Resource not found: The requested item does not exist or is not accessible');
-      case 409:
-        return new Error(`Conflict: ${data?.message || 'Resource conflict'}`);
-      case 429:
-        return new Error('Rate limit exceeded: Please wait before making more requests');
-      case 500:
-      case 502:
-      case 503:
-      case 504:
-        return new Error('Server error: Notion API is temporarily unavailable');
-      default:
-        return new Error(`API Error (${status}): ${data?.message || 'Unknown error occurred'}`);
+    const backoff = Math.min(policy.baseDelay * 2 ** (attempt - 1), policy.maxDelay);
+    if (!policy.jitter) {
+      return backoff;
     }
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Create a view of this client whose calls all use the given request options
+   * The view shares the axios client, retry policy and rate limiter with this instance
+   */
+  withRequestOptions(defaults) {
+    const scoped = Object.create(this);
+    scoped.defaultRequestOptions = { ...this.defaultRequestOptions, ...defaults };
+    return scoped;
   }
 
   /**
-   * Make a request with retry logic
+   * Run a multi-step workflow under an operation journal (see journal.js)
+   * work(tx, journal) gets a view of this client whose writes are journaled; when it throws, the writes
+   * are rolled back and the error carries error.journal and error.rollback ({ compensated, partial, failed, manual })
+   * @param {Function} work - Async function doing the writes through tx
+   * @param {Object} options - { name, rollbackOnError } (false leaves journal.rollback() to the caller)
+   * @returns {Promise<*>} What work returns
    */
-  async makeRequest(config, attempt = 1) {
+  async transaction(work, options = {}) {
+    const { rollbackOnError = true, ...journalOptions } = options;
+    const journal = new OperationJournal(this, journalOptions);
+    const uninstall = this.use(journal.plugin());
+
     try {
-      const response = await this.client(config);
-      return response.data;
-    } catch (error) {
-      // Retry on specific errors
-      if (
-        attempt < this.retryAttempts && 
-        (error.response?.status >= 500 || error.response?.status === 429)
-      ) {
-        console.warn(`⚠️ Retrying request (${attempt}/${this.retryAttempts}) after ${this.retryDelay}ms...`);
-        await this.delay(this.retryDelay * attempt);
-        return this.makeRequest(config, attempt + 1);
+      const result = await work(this.withRequestOptions({ journal }), journal);
+      journal.commit();
+      return result;
+    } catch (thrown) {
+      // work may throw a primitive, which cannot carry the rollback report
+      const error = thrown !== null && typeof thrown === 'object'
+        ? thrown
+        : new NotionError(String(thrown), { cause: thrown });
+      if (rollbackOnError) {
+        error.rollback = await journal.rollback();
       }
+      error.journal = journal;
       throw error;
+    } finally {
+      uninstall();
+    }
+  }
+
+  /**
+   * Make a request with retry logic, running the plugin hooks around it
+   * @param {Object} config - axios request config
+   * @param {Object} requestOptions - Per-call options:
+   *   { signal: AbortSignal, timeout: ms, retry: false | Partial<retryPolicy>,
+   *     priority: 'interactive' | 'background' }
+   */
+  async makeRequest(config, requestOptions = {}) {
+    const options = { ...this.defaultRequestOptions, ...requestOptions };
+    const priority = options.priority || 'interactive';
+
+    const requestConfig = { ...config, priority };
+    if (options.signal) {
+      requestConfig.signal = options.signal;
+    }
+    if (options.timeout !== undefined) {
+      requestConfig.timeout = options.timeout;
+    }
+
+    const context = {
+      method: requestConfig.method?.toUpperCase(),
+      url: requestConfig.url,
+      config: requestConfig,
+      requestOptions: options,
+      policy: this.resolveRetryPolicy(options.retry),
+      attempt: 0,
+      status: null,
+      startedAt: Date.now(),
+      duration: 0,
+      shortCircuited: false,
+      redact: (value) => this.plugins.reduce((result, plugin) => plugin.redact?.(result) ?? result, value),
+      state: {}
+    };
+
+    // The first beforeRequest hook that returns a value answers the call
+    let data;
+    for (const plugin of [...this.plugins]) {
+      data = await plugin.beforeRequest?.(context);
+      if (data !== undefined) {
+        break;
+      }
+    }
+    context.shortCircuited = data !== undefined;
+    if (!context.shortCircuited) {
+      try {
+        data = await this.sendWithRetries(context);
+      } catch (error) {
+        context.duration = Date.now() - context.startedAt;
+        const recovered = await this.runHook('onError', true, context, error);
+        if (recovered === undefined) {
+          throw error;
+        }
+        return recovered;
+      }
+    }
+
+    context.duration = Date.now() - context.startedAt;
+    for (const plugin of [...this.plugins].reverse()) {
+      if (typeof plugin.afterResponse === 'function') {
+        data = (await plugin.afterResponse(context, data)) ?? data;
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Send a request, retrying under the context's policy
+   * @returns {Promise<Object>} Response data; rejects with a NotionError
+   */
+  async sendWithRetries(context) {
+    const { config, policy } = context;
+    let totalDelay = 0;
+
+    for (let attempt = 1; ; attempt++) {
+      context.attempt = attempt;
+      try {
+        const response = await this.client(config);
+        context.status = response.status;
+        return response.data;
+      } catch (error) {
+        context.status = error.response?.status ?? null;
+        if (attempt >= policy.maxAttempts || !this.isRetryableError(error, policy)) {
+          throw this.formatError(error);
+        }
+
+        const delay = this.getRetryDelay(error, attempt, policy);
+        if (totalDelay + delay > policy.maxTotalDelay) {
+          throw this.formatError(error);
+        }
+
+        totalDelay += delay;
+        await this.runHook('onRetry', false, context, { attempt, delay, error: this.formatError(error) });
+        try {
+          await this.delay(delay, config.signal);
+        } catch (abortError) {
+          throw this.formatError(abortError);
+        }
+      }
     }
   }
 
   /**
-   * Utility delay function
+   * Utility delay function, rejects early when the signal aborts
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError(signal));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError(signal));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   // ============================================================================
@@ -152,7 +434,7 @@ export class NotionAPI {
   /**
    * List all users in the workspace
    */
-  async listUsers(startCursor = null, pageSize = 100) {
+  async listUsers(startCursor = null, pageSize = 100, requestOptions = {}) {
     const params = { page_size: pageSize };
     if (startCursor) params.start_cursor = startCursor;
 
@@ -160,27 +442,27 @@ export class NotionAPI {
       method: 'GET',
       url: '/users',
       params
-    });
+    }, requestOptions);
   }
 
   /**
    * Retrieve a specific user by ID
    */
-  async getUser(userId) {
+  async getUser(userId, requestOptions = {}) {
     return this.makeRequest({
       method: 'GET',
       url: `/users/${userId}`
-    });
+    }, requestOptions);
   }
 
   /**
    * Get information about the bot user
    */
-  async getBotUser() {
+  async getBotUser(requestOptions = {}) {
     return this.makeRequest({
       method: 'GET',
       url: '/users/me'
-    });
+    }, requestOptions);
   }
 
   // ============================================================================
@@ -190,40 +472,150 @@ export class NotionAPI {
   /**
    * Retrieve a database by ID
    */
-  async getDatabase(databaseId) {
+  async getDatabase(databaseId, requestOptions = {}) {
     return this.makeRequest({
       method: 'GET',
       url: `/databases/${databaseId}`
-    });
+    }, requestOptions);
   }
 
   /**
    * Query a database with filters and sorting
+   * @param {Object} options - { filter, sorts, startCursor, pageSize, filterProperties, validate }
+   *   filter may be a raw Notion filter or a filterBuilder Filter; filterProperties lists the property ids
+   *   to return (the rest are left out of the response); validate: true checks property names and types
+   *   against the database schema before sending
    */
-  async queryDatabase(databaseId, options = {}) {
+  async queryDatabase(databaseId, options = {}, requestOptions = {}) {
     const {
       filter = null,
       sorts = null,
       startCursor = null,
-      pageSize = 100
+      pageSize = 100,
+      filterProperties = null,
+      validate = false
     } = options;
 
+    if (validate) {
+      await this.validateDatabaseQuery(databaseId, { filter, sorts }, requestOptions);
+    }
+
     const data = { page_size: pageSize };
-    if (filter) data.filter = filter;
+    if (filter) data.filter = filter instanceof Filter ? filter.build() : filter;
     if (sorts) data.sorts = sorts;
     if (startCursor) data.start_cursor = startCursor;
 
+    // Notion expects the parameter repeated once per id rather than axios' bracket syntax
+    const query = (filterProperties || []).map(id => `filter_properties=${encodeURIComponent(id)}`).join('&');
+
     return this.makeRequest({
       method: 'POST',
-      url: `/databases/${databaseId}/query`,
+      url: `/databases/${databaseId}/query${query ? `?${query}` : ''}`,
       data
+    }, requestOptions);
+  }
+
+  /**
+   * Check a filter and sorts against the database schema
+   * @throws {NotionValidationError} When a property is unknown or has the wrong type
+   */
+  async validateDatabaseQuery(databaseId, { filter = null, sorts = null } = {}, requestOptions = {}) {
+    const database = await this.getDatabase(databaseId, requestOptions);
+    validateQuery(database, { filter, sorts });
+    return database;
+  }
+
+  /**
+   * Find every page of a database whose properties equal the given values
+   * @param {Object|Filter} criteria - { [propertyName]: value } (see matchCriteria), or a Filter
+   * @param {Object} options - { sorts, maxItems, requestOptions }
+   * @returns {Promise<Array>} Matching pages
+   */
+  async findPages(databaseId, criteria, options = {}) {
+    const { sorts = null, maxItems = Infinity, requestOptions = {} } = options;
+    const filter = criteria instanceof Filter
+      ? criteria
+      : matchCriteria(criteria, await this.getDatabase(databaseId, requestOptions));
+    return this.collectAll(this.iterateDatabase(databaseId, { filter, sorts, maxItems, requestOptions }));
+  }
+
+  /**
+   * Create a database page, or update the page whose key property has the same value
+   * @param {string} keyProperty - Property identifying the page (title, rich_text, number, email, url, ...)
+   * @param {Object} properties - Plain values or Notion property values by name; must include keyProperty
+   * @param {Object} options - { children, onDuplicate, requestOptions }
+   *   children are only added to created pages; onDuplicate: 'first' updates the oldest of several matches
+   *   instead of throwing
+   * @returns {Promise<Object>} { action: 'created' | 'updated', page, duplicates: [ids of other matches] }
+   * @throws {NotionConflictError} When several pages match and onDuplicate is 'error' (the default)
+   */
+  async upsertPage(databaseId, keyProperty, properties, options = {}) {
+    const { children = [], onDuplicate = 'error', requestOptions = {} } = options;
+    const database = await this.getDatabase(databaseId, requestOptions);
+    const keyType = database.properties?.[keyProperty]?.type;
+
+    if (!UPSERT_KEY_TYPES.includes(keyType)) {
+      const message = keyType
+        ? `Property "${keyProperty}" is ${keyType} and cannot identify a page`
+        : `Unknown key property "${keyProperty}"`;
+      throw new NotionValidationError(message, {
+        code: 'validation_error',
+        suggestion: `Use a property of type ${UPSERT_KEY_TYPES.join(', ')}`
+      });
+    }
+    if (properties[keyProperty] === undefined) {
+      throw new NotionValidationError(`Properties must include the key property "${keyProperty}"`, {
+        code: 'validation_error'
+      });
+    }
+
+    const keyInput = properties[keyProperty];
+    const keyValue = isNotionProperty(keyType, keyInput)
+      ? fromNotionProperty({ type: keyType, ...keyInput })
+      : keyInput;
+    const writable = Object.fromEntries(Object.entries(properties).filter(([name]) =>
+      name !== keyProperty || !READ_ONLY_PROPERTY_TYPES.includes(keyType)));
+    const values = toNotionProperties(writable, database);
+
+    const matches = await this.findPages(databaseId, matchCriteria({ [keyProperty]: keyValue }, database), {
+      sorts: [sortByTimestamp('created_time')],
+      requestOptions
     });
+    const duplicates = matches.slice(1).map(page => page.id);
+
+    if (duplicates.length > 0 && onDuplicate !== 'first') {
+      const error = new NotionConflictError(`${matches.length} pages have ${keyProperty} "${keyValue}"`, {
+        code: 'conflict_error',
+        suggestion: 'Archive or merge the duplicates, or pass onDuplicate: \'first\' to update the oldest page.'
+      });
+      error.duplicates = matches.map(page => page.id);
+      throw error;
+    }
+
+    if (matches.length === 0) {
+      const parent = { type: 'database_id', database_id: databaseId };
+      const page = await this.createPage(parent, values, children, requestOptions);
+      return { action: 'created', page, duplicates };
+    }
+    const page = await this.updatePage(matches[0].id, values, null, requestOptions);
+    return { action: 'updated', page, duplicates };
+  }
+
+  /**
+   * Create a page in a database from a template with {{placeholders}}
+   * Property names and types are checked against getDatabase before the page is created
+   * @param {Object|string} template - Template object or JSON (see templates.js), or from loadTemplateFromPage
+   * @param {Object} variables - Values for {{placeholders}}
+   * @param {Object} options - { now, requestOptions }
+   */
+  async createPageFromTemplate(databaseId, template, variables = {}, options = {}) {
+    return instantiateTemplate(this, template, databaseId, variables, options);
   }
 
   /**
    * Create a new database
    */
-  async createDatabase(parentPageId, title, properties, options = {}) {
+  async createDatabase(parentPageId, title, properties, options = {}, requestOptions = {}) {
     const data = {
       parent: { type: 'page_id', page_id: parentPageId },
       title: [{ type: 'text', text: { content: title } }],
@@ -235,18 +627,67 @@ export class NotionAPI {
       method: 'POST',
       url: '/databases',
       data
-    });
+    }, requestOptions);
   }
 
   /**
    * Update a database
    */
-  async updateDatabase(databaseId, updates) {
+  async updateDatabase(databaseId, updates, requestOptions = {}) {
     return this.makeRequest({
       method: 'PATCH',
       url: `/databases/${databaseId}`,
       data: updates
-    });
+    }, requestOptions);
+  }
+
+  /**
+   * Diff a declared schema (see schema.js) against the live database
+   * @param {Object} options - { allowRemovals, requestOptions }
+   * @returns {Promise<Object>} Plan: { changes, warnings, extra, patch, summary }
+   */
+  async diffDatabaseSchema(databaseId, declared, options = {}) {
+    const { requestOptions = {}, ...diffOptions } = options;
+    // A patch planned from a stale schema could re-add options or rename by an old id, so read past the
+    // response cache unless the caller opts in with { cache: true }
+    const database = await this.getDatabase(databaseId, { cache: false, ...requestOptions });
+    const plan = diffSchema(database, declared, diffOptions);
+    return { ...plan, summary: formatPlan(plan) };
+  }
+
+  /**
+   * Bring a database in line with a declared schema
+   * Dry runs (the default) only return the plan; otherwise the whole plan is sent as one updateDatabase call
+   * @param {Object} options - { dryRun = true, allowRemovals, requestOptions }
+   * @returns {Promise<Object>} { plan, database } where database is the updated database, or null for dry runs
+   */
+  async migrateDatabase(databaseId, declared, options = {}) {
+    const { dryRun = true, requestOptions = {} } = options;
+    const plan = await this.diffDatabaseSchema(databaseId, declared, options);
+
+    if (dryRun || !plan.patch) {
+      return { plan, database: null };
+    }
+    const database = await this.updateDatabase(databaseId, plan.patch, requestOptions);
+    return { plan, database };
+  }
+
+  /**
+   * Export every row of a database query as a file (see export.js)
+   * @param {Object} options - { format: 'csv' | 'jsonl' | 'excel', filter, sorts, onProgress, requestOptions }
+   * @returns {Promise<Object>} { content, filename, mimeType, columns, rowCount }
+   */
+  async exportDatabase(databaseId, options = {}) {
+    return exportDatabase(this, databaseId, options);
+  }
+
+  /**
+   * Import CSV rows into a database (see csvImport.js)
+   * @param {Object} options - { mapping, upsertKey, dryRun, startRow, decimal, onProgress, requestOptions }
+   * @returns {Promise<Object>} Report with created/updated counts, per-row errors and nextRow for resuming
+   */
+  async importCsv(databaseId, csv, options = {}) {
+    return importCsv(this, databaseId, csv, options);
   }
 
   // ============================================================================
@@ -256,37 +697,71 @@ export class NotionAPI {
   /**
    * Retrieve a page by ID
    */
-  async getPage(pageId) {
+  async getPage(pageId, requestOptions = {}) {
     return this.makeRequest({
       method: 'GET',
       url: `/pages/${pageId}`
-    });
+    }, requestOptions);
   }
 
   /**
    * Create a new page
+   * Pass { retry: false } as requestOptions to avoid duplicate pages when a retried POST had already succeeded
+   * @param {Array|string} children - Blocks, or a Markdown string converted with markdownToBlocks
    */
-  async createPage(parent, properties, children = []) {
+  async createPage(parent, properties, children = [], requestOptions = {}) {
     const data = {
       parent,
       properties
     };
+    const [first, ...rest] = blocks.planAppend(this.toBlocks(children));
     
-    if (children.length > 0) {
-      data.children = children;
+    if (first) {
+      data.children = first.blocks;
     }
 
-    return this.makeRequest({
+    const page = await this.makeRequest({
       method: 'POST',
       url: '/pages',
       data
-    });
+    }, requestOptions);
+
+    // Content past the first request's limits is appended to the new page; errors carry the page
+    if (first && (first.followUps.length > 0 || rest.length > 0)) {
+      const written = [];
+      try {
+        await this.appendFollowUps(page.id, first.followUps, null, requestOptions, written);
+      } catch (error) {
+        const unsent = rest.flatMap(batch => batch.sources);
+        this.withPartialResult(error, written, { parentId: page.id, path: [], blocks: unsent });
+        error.partialResult.page = page;
+        throw error;
+      }
+      try {
+        await this.appendBatches(page.id, rest, requestOptions, written);
+      } catch (error) {
+        error.partialResult.page = page;
+        throw error;
+      }
+    }
+
+    return page;
   }
 
   /**
    * Update page properties
+   * requestOptions also takes { ifUnmodifiedSince, merge } (see concurrency.js): the update fails with a
+   * NotionConflictError when the page was edited after ifUnmodifiedSince (a Date, a last_edited_time or the
+   * page the edit was based on), unless merge returns the properties to write instead
    */
-  async updatePage(pageId, properties, archived = null) {
+  async updatePage(pageId, properties, archived = null, requestOptions = {}) {
+    const { ifUnmodifiedSince, merge, ...options } = requestOptions;
+    if (ifUnmodifiedSince !== undefined && ifUnmodifiedSince !== null) {
+      // Read past the response cache unless the caller opts in with { cache: true }
+      const read = () => this.getPage(pageId, { cache: false, ...options });
+      properties = await guardUpdate(read, properties, { ifUnmodifiedSince, merge });
+    }
+
     const data = { properties };
     if (archived !== null) data.archived = archived;
 
@@ -294,20 +769,89 @@ export class NotionAPI {
       method: 'PATCH',
       url: `/pages/${pageId}`,
       data
-    });
+    }, options);
   }
 
   /**
    * Archive a page
    */
-  async archivePage(pageId) {
-    return this.updatePage(pageId, {}, true);
+  async archivePage(pageId, requestOptions = {}) {
+    return this.updatePage(pageId, {}, true, requestOptions);
+  }
+
+  /**
+   * Duplicate a page and its content under a new parent
+   * Notion has no duplicate endpoint, so the page is read with getPage and getPageTree, cleaned of read-only
+   * fields and recreated with createPage (large content is appended in batches).
+   * @param {string} sourceId - Page to copy
+   * @param {Object} targetParent - { page_id } or { database_id }; database parents get every property that
+   *   exists there with the same type, page parents only the title
+   * @param {Object} options - { title, properties, childPages, onProgress, requestOptions }
+   *   title replaces the copied title, properties are merged over the copied ones, and childPages: true also
+   *   duplicates child pages (they are created after the copied content)
+   * @returns {Promise<Object>} { page, skipped: [{ id, type, reason }], skippedProperties: [{ name, reason }],
+   *   childPages: [results of nested duplicatePage calls] }
+   */
+  async duplicatePage(sourceId, targetParent, options = {}) {
+    const {
+      title = null,
+      properties: overrides = {},
+      childPages = false,
+      onProgress = null,
+      requestOptions = {}
+    } = options;
+    const source = await this.getPage(sourceId, requestOptions);
+    const tree = await this.getPageTree(sourceId, { onProgress, requestOptions });
+
+    const titleName = Object.keys(source.properties).find(name => source.properties[name].type === 'title');
+    const titleText = title !== null ? createRichText(title) : toWritableRichText(source.properties[titleName]?.title);
+
+    let properties;
+    let skippedProperties = [];
+    if (targetParent.database_id) {
+      const database = await this.getDatabase(targetParent.database_id, requestOptions);
+      ({ properties, skipped: skippedProperties } = toWritableProperties(source, database));
+      skippedProperties = skippedProperties.filter(entry => entry.name !== titleName);
+      const targetTitle = Object.keys(database.properties).find(name => database.properties[name].type === 'title');
+      delete properties[titleName];
+      properties[targetTitle] = { title: titleText };
+    } else {
+      properties = { title: { title: titleText } };
+    }
+
+    const { blocks: children, skipped } = blocks.toWritableBlocks(tree);
+    const page = await this.createPage(targetParent, { ...properties, ...overrides }, children, requestOptions);
+
+    // Only emoji/external icons and external covers can be set through the API
+    const appearance = {};
+    if (['emoji', 'external'].includes(source.icon?.type)) {
+      appearance.icon = source.icon;
+    }
+    if (source.cover?.type === 'external') {
+      appearance.cover = source.cover;
+    }
+    if (Object.keys(appearance).length > 0) {
+      await this.makeRequest({ method: 'PATCH', url: `/pages/${page.id}`, data: appearance }, requestOptions);
+    }
+
+    const result = { page, skipped, skippedProperties, childPages: [] };
+    if (childPages) {
+      const nested = skipped.filter(entry => entry.type === 'child_page');
+      result.skipped = skipped.filter(entry => entry.type !== 'child_page');
+      for (const child of nested) {
+        result.childPages.push(
+          await this.duplicatePage(child.id, { type: 'page_id', page_id: page.id }, { childPages, requestOptions })
+        );
+      }
+    }
+
+    return result;
   }
 
   /**
    * Retrieve a page property item
    */
-  async getPageProperty(pageId, propertyId, startCursor = null, pageSize = 25) {
+  async getPageProperty(pageId, propertyId, startCursor = null, pageSize = 25, requestOptions = {}) {
     const params = { page_size: pageSize };
     if (startCursor) params.start_cursor = startCursor;
 
@@ -315,7 +859,7 @@ export class NotionAPI {
       method: 'GET',
       url: `/pages/${pageId}/properties/${propertyId}`,
       params
-    });
+    }, requestOptions);
   }
 
   // ============================================================================
@@ -325,7 +869,7 @@ export class NotionAPI {
   /**
    * Retrieve block children
    */
-  async getBlockChildren(blockId, startCursor = null, pageSize = 100) {
+  async getBlockChildren(blockId, startCursor = null, pageSize = 100, requestOptions = {}) {
     const params = { page_size: pageSize };
     if (startCursor) params.start_cursor = startCursor;
 
@@ -333,49 +877,133 @@ export class NotionAPI {
       method: 'GET',
       url: `/blocks/${blockId}/children`,
       params
-    });
+    }, requestOptions);
   }
 
   /**
-   * Append block children
+   * Append block children, split into as many requests as Notion's limits require
+   * Batches of up to 100 blocks are sent in order; nesting deeper than two levels is appended to the created
+   * blocks afterwards. If a request fails, the error carries partialResult:
+   * { written: [blocks returned by each successful request, in order], failed: [{ parentId, path, blocks }] },
+   * where path holds the child indices from parentId to the block the unwritten blocks belong to.
+   * @param {Array|string} children - Blocks, or a Markdown string converted with markdownToBlocks
    */
-  async appendBlockChildren(blockId, children) {
-    return this.makeRequest({
-      method: 'PATCH',
-      url: `/blocks/${blockId}/children`,
-      data: { children }
-    });
+  async appendBlockChildren(blockId, children, requestOptions = {}) {
+    return this.appendBatches(blockId, blocks.planAppend(this.toBlocks(children)), requestOptions);
+  }
+
+  /**
+   * Send append batches from planAppend in order, each followed by its follow-up appends
+   * @returns {Promise<Object>} The last response, with the top-level blocks of every batch as results
+   */
+  async appendBatches(blockId, batches, requestOptions = {}, written = []) {
+    const results = [];
+    let response = null;
+
+    for (let index = 0; index < batches.length; index++) {
+      const batch = batches[index];
+      let sent = false;
+      try {
+        response = await this.makeRequest({
+          method: 'PATCH',
+          url: `/blocks/${blockId}/children`,
+          data: { children: batch.blocks }
+        }, requestOptions);
+        sent = true;
+        results.push(...response.results);
+        written.push(...response.results);
+
+        await this.appendFollowUps(blockId, batch.followUps, response.results, requestOptions, written);
+      } catch (error) {
+        const unsent = batches.slice(sent ? index + 1 : index).flatMap(pending => pending.sources);
+        throw this.withPartialResult(error, written, { parentId: blockId, path: [], blocks: unsent });
+      }
+    }
+
+    return { ...response, results };
+  }
+
+  /**
+   * Append follow-up children to blocks created by an earlier request
+   * @param {Array|null} created - Blocks returned by that request; when null, ids are looked up under parentId
+   */
+  async appendFollowUps(parentId, followUps, created, requestOptions, written) {
+    const listings = new Map();
+    const listChildren = async (blockId) => {
+      if (!listings.has(blockId)) {
+        listings.set(blockId, await this.collectAll(this.iterateBlockChildren(blockId, { requestOptions })));
+      }
+      return listings.get(blockId);
+    };
+
+    for (let index = 0; index < followUps.length; index++) {
+      const [first, ...path] = [followUps[index].index, ...followUps[index].path];
+      try {
+        let targetId = created ? created[first].id : (await listChildren(parentId))[first].id;
+        for (const position of path) {
+          targetId = (await listChildren(targetId))[position].id;
+        }
+        await this.appendBatches(targetId, blocks.planAppend(followUps[index].children), requestOptions, written);
+      } catch (error) {
+        // A failed nested append has already recorded its own unwritten blocks
+        const pending = followUps.slice(error.partialResult ? index + 1 : index);
+        pending.forEach(followUp => this.withPartialResult(error, written, {
+          parentId,
+          path: [followUp.index, ...followUp.path],
+          blocks: followUp.children
+        }));
+        throw this.withPartialResult(error, written, null);
+      }
+    }
+  }
+
+  /**
+   * Record written and unwritten blocks on an error from a multi-request append
+   */
+  withPartialResult(error, written, failed) {
+    error.partialResult = error.partialResult || { written, failed: [] };
+    if (failed && failed.blocks.length > 0) {
+      error.partialResult.failed.push(failed);
+    }
+    return error;
   }
 
   /**
    * Retrieve a block
    */
-  async getBlock(blockId) {
+  async getBlock(blockId, requestOptions = {}) {
     return this.makeRequest({
       method: 'GET',
       url: `/blocks/${blockId}`
-    });
+    }, requestOptions);
   }
 
   /**
    * Update a block
+   * Takes the same { ifUnmodifiedSince, merge } request options as updatePage
    */
-  async updateBlock(blockId, updates) {
+  async updateBlock(blockId, updates, requestOptions = {}) {
+    const { ifUnmodifiedSince, merge, ...options } = requestOptions;
+    if (ifUnmodifiedSince !== undefined && ifUnmodifiedSince !== null) {
+      const read = () => this.getBlock(blockId, { cache: false, ...options });
+      updates = await guardUpdate(read, updates, { ifUnmodifiedSince, merge });
+    }
+
     return this.makeRequest({
       method: 'PATCH',
       url: `/blocks/${blockId}`,
       data: updates
-    });
+    }, options);
   }
 
   /**
    * Delete a block
    */
-  async deleteBlock(blockId) {
+  async deleteBlock(blockId, requestOptions = {}) {
     return this.makeRequest({
       method: 'DELETE',
       url: `/blocks/${blockId}`
-    });
+    }, requestOptions);
   }
 
   // ============================================================================
@@ -385,7 +1013,7 @@ export class NotionAPI {
   /**
    * Search across the workspace
    */
-  async search(query = '', options = {}) {
+  async search(query = '', options = {}, requestOptions = {}) {
     const {
       filter = null,
       sort = null,
@@ -406,7 +1034,7 @@ export class NotionAPI {
       method: 'POST',
       url: '/search',
       data
-    });
+    }, requestOptions);
   }
 
   // ============================================================================
@@ -419,7 +1047,7 @@ export class NotionAPI {
    * @param {string} startCursor - Pagination cursor
    * @param {number} pageSize - Number of results per page (max 100)
    */
-  async getComments(blockId, startCursor = null, pageSize = 100) {
+  async getComments(blockId, startCursor = null, pageSize = 100, requestOptions = {}) {
     const data = {
       page_size: pageSize,
       block_id: blockId
@@ -431,7 +1059,7 @@ export class NotionAPI {
       method: 'GET',
       url: '/comments',
       params: data
-    });
+    }, requestOptions);
   }
 
   /**
@@ -440,7 +1068,7 @@ export class NotionAPI {
    * @param {Array} richText - Rich text content for the comment
    * @param {string} discussionId - Optional discussion ID to reply to
    */
-  async createComment(pageId, richText, discussionId = null) {
+  async createComment(pageId, richText, discussionId = null, requestOptions = {}) {
     const data = {
       parent: { page_id: pageId },
       rich_text: richText
@@ -454,7 +1082,205 @@ export class NotionAPI {
       method: 'POST',
       url: '/comments',
       data
-    });
+    }, requestOptions);
+  }
+
+  // ============================================================================
+  // PAGINATION HELPERS
+  // ============================================================================
+
+  /**
+   * Walk a cursor-paginated endpoint and yield every result
+   * @param {Function} fetchPage - Called with (startCursor, pageSize, requestOptions), resolves to a list response
+   * @param {Object} options - { pageSize, maxItems, maxPages, startCursor, requestOptions }
+   */
+  async *paginate(fetchPage, options = {}) {
+    const {
+      pageSize = 100,
+      maxItems = Infinity,
+      maxPages = Infinity,
+      startCursor = null,
+      requestOptions = {}
+    } = options;
+
+    let cursor = startCursor;
+    let pages = 0;
+    let items = 0;
+
+    while (pages < maxPages && items < maxItems) {
+      const response = await fetchPage(cursor, Math.min(pageSize, maxItems - items), requestOptions);
+      pages++;
+
+      for (const item of response.results || []) {
+        yield item;
+        items++;
+        if (items >= maxItems) {
+          return;
+        }
+      }
+
+      if (!response.has_more || !response.next_cursor) {
+        return;
+      }
+      cursor = response.next_cursor;
+    }
+  }
+
+  /**
+   * Drain an async iterator into an array
+   */
+  async collectAll(iterator) {
+    const results = [];
+    for await (const item of iterator) {
+      results.push(item);
+    }
+    return results;
+  }
+
+  /**
+   * Iterate over all users in the workspace
+   */
+  iterateUsers(options = {}) {
+    return this.paginate(
+      (cursor, pageSize, requestOptions) => this.listUsers(cursor, pageSize, requestOptions),
+      options
+    );
+  }
+
+  /**
+   * Iterate over all pages matching a database query
+   * @param {string} databaseId - Database to query
+   * @param {Object} options - queryDatabase options ({ filter, sorts, filterProperties }) plus pagination limits
+   */
+  iterateDatabase(databaseId, options = {}) {
+    const { filter = null, sorts = null, filterProperties = null, ...pagination } = options;
+    return this.paginate(
+      (startCursor, pageSize, requestOptions) =>
+        this.queryDatabase(databaseId, { filter, sorts, startCursor, pageSize, filterProperties }, requestOptions),
+      pagination
+    );
+  }
+
+  /**
+   * Iterate over all direct children of a block or page
+   */
+  iterateBlockChildren(blockId, options = {}) {
+    return this.paginate(
+      (cursor, pageSize, requestOptions) => this.getBlockChildren(blockId, cursor, pageSize, requestOptions),
+      options
+    );
+  }
+
+  /**
+   * Iterate over all search results
+   * @param {string} query - Search query
+   * @param {Object} options - search options ({ filter, sort }) plus pagination limits
+   */
+  iterateSearch(query = '', options = {}) {
+    const { filter = null, sort = null, ...pagination } = options;
+    return this.paginate(
+      (startCursor, pageSize, requestOptions) =>
+        this.search(query, { filter, sort, startCursor, pageSize }, requestOptions),
+      pagination
+    );
+  }
+
+  /**
+   * Iterate over all comments on a page or block
+   */
+  iterateComments(blockId, options = {}) {
+    return this.paginate(
+      (cursor, pageSize, requestOptions) => this.getComments(blockId, cursor, pageSize, requestOptions),
+      options
+    );
+  }
+
+  /**
+   * Iterate over all items of a page property
+   * Non-paginated property types (number, select, ...) yield their single property item
+   */
+  async *iteratePageProperty(pageId, propertyId, options = {}) {
+    const { pageSize = 25, ...limits } = options;
+    let single = null;
+
+    yield* this.paginate(async (cursor, size, requestOptions) => {
+      const response = await this.getPageProperty(pageId, propertyId, cursor, size, requestOptions);
+      if (response.object === 'list') {
+        return response;
+      }
+      single = response;
+      return { results: [], has_more: false };
+    }, { pageSize, ...limits });
+
+    if (single) {
+      yield single;
+    }
+  }
+
+  /**
+   * Fetch a page's full block tree; nested blocks are attached as block.children
+   * Each level is paginated, and up to `concurrency` parents are fetched at once (all calls still go
+   * through the rate limiter). Child pages and databases are separate documents and are not descended into.
+   * @param {string} pageId - Page or block id
+   * @param {Object} options - { maxDepth, concurrency, onProgress, requestOptions }
+   *   onProgress receives { fetched, pending, blocks, percent } after each parent completes
+   * @returns {Promise<Array>} Top-level blocks
+   */
+  async getPageTree(pageId, options = {}) {
+    const { maxDepth = Infinity, concurrency = 3, onProgress = null, requestOptions = {} } = options;
+    const progress = { fetched: 0, pending: 1, blocks: 0, percent: 0 };
+    const waiting = [];
+    let active = 0;
+    let failed = false;
+
+    // Hand slots directly to the next waiter so concurrency is never exceeded
+    const withSlot = async (task) => {
+      if (active < concurrency) {
+        active++;
+      } else {
+        await new Promise(resolve => waiting.push(resolve));
+      }
+      try {
+        if (failed) {
+          throw new Error('Page tree fetch stopped after an earlier failure');
+        }
+        return await task();
+      } finally {
+        const next = waiting.shift();
+        if (next) {
+          next();
+        } else {
+          active--;
+        }
+      }
+    };
+
+    const fetchLevel = async (blockId, depth) => {
+      let children;
+      try {
+        children = await withSlot(() => this.collectAll(this.iterateBlockChildren(blockId, { requestOptions })));
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+
+      const nested = depth < maxDepth
+        ? children.filter(block => block.has_children && block.type !== 'child_page' && block.type !== 'child_database')
+        : [];
+
+      progress.fetched++;
+      progress.pending += nested.length - 1;
+      progress.blocks += children.length;
+      progress.percent = (progress.fetched / (progress.fetched + progress.pending)) * 100;
+      onProgress?.({ ...progress });
+
+      await Promise.all(nested.map(async block => {
+        block.children = await fetchLevel(block.id, depth + 1);
+      }));
+      return children;
+    };
+
+    return fetchLevel(pageId, 1);
   }
 
   // ============================================================================
@@ -465,96 +1291,185 @@ export class NotionAPI {
    * Create rich text object from plain text
    */
   createRichText(text, options = {}) {
-    return [{
-      type: 'text',
-      text: { content: text, link: options.link || null },
-      annotations: {
-        bold: options.bold || false,
-        italic: options.italic || false,
-        strikethrough: options.strikethrough || false,
-        underline: options.underline || false,
-        code: options.code || false,
-        color: options.color || 'default'
-      }
-    }];
+    return createRichText(text, options);
   }
 
   /**
    * Create a paragraph block
    */
   createParagraphBlock(text, options = {}) {
-    return {
-      type: 'paragraph',
-      paragraph: {
-        rich_text: Array.isArray(text) ? text : this.createRichText(text, options),
-        color: options.color || 'default'
-      }
-    };
+    return blocks.createParagraphBlock(text, options);
   }
 
   /**
    * Create a heading block
    */
   createHeadingBlock(text, level = 1, options = {}) {
-    const headingType = `heading_${level}`;
-    return {
-      type: headingType,
-      [headingType]: {
-        rich_text: Array.isArray(text) ? text : this.createRichText(text, options),
-        color: options.color || 'default',
-        is_toggleable: options.toggleable || false
-      }
-    };
+    return blocks.createHeadingBlock(text, level, options);
   }
 
   /**
    * Create a bulleted list item block
    */
   createBulletedListBlock(text, options = {}) {
-    return {
-      type: 'bulleted_list_item',
-      bulleted_list_item: {
-        rich_text: Array.isArray(text) ? text : this.createRichText(text, options),
-        color: options.color || 'default',
-        children: options.children || []
-      }
-    };
+    return blocks.createBulletedListBlock(text, options);
+  }
+
+  /**
+   * Create a numbered list item block
+   */
+  createNumberedListBlock(text, options = {}) {
+    return blocks.createNumberedListBlock(text, options);
+  }
+
+  /**
+   * Create a to-do block
+   */
+  createToDoBlock(text, checked = false, options = {}) {
+    return blocks.createToDoBlock(text, checked, options);
+  }
+
+  /**
+   * Create a toggle block
+   */
+  createToggleBlock(text, children = [], options = {}) {
+    return blocks.createToggleBlock(text, children, options);
+  }
+
+  /**
+   * Create a quote block
+   */
+  createQuoteBlock(text, options = {}) {
+    return blocks.createQuoteBlock(text, options);
   }
 
   /**
    * Create a code block
    */
-  createCodeBlock(code, language = 'javascript') {
-    return {
-      type: 'code',
-      code: {
-        rich_text: this.createRichText(code),
-        language: language,
-        caption: []
-      }
-    };
+  createCodeBlock(code, language = 'javascript', options = {}) {
+    return blocks.createCodeBlock(code, language, options);
   }
 
   /**
    * Create a callout block
    */
   createCalloutBlock(text, icon = '💡', options = {}) {
-    return {
-      type: 'callout',
-      callout: {
-        rich_text: Array.isArray(text) ? text : this.createRichText(text, options),
-        icon: { type: 'emoji', emoji: icon },
-        color: options.color || 'default'
-      }
-    };
+    return blocks.createCalloutBlock(text, icon, options);
+  }
+
+  /**
+   * Create a divider block
+   */
+  createDividerBlock() {
+    return blocks.createDividerBlock();
+  }
+
+  /**
+   * Create an equation block
+   */
+  createEquationBlock(expression) {
+    return blocks.createEquationBlock(expression);
+  }
+
+  /**
+   * Create a table block with rows
+   */
+  createTableBlock(rows, options = {}) {
+    return blocks.createTableBlock(rows, options);
+  }
+
+  /**
+   * Create a column list, one array of blocks per column
+   */
+  createColumnListBlock(columns) {
+    return blocks.createColumnListBlock(columns);
+  }
+
+  /**
+   * Create an image block
+   */
+  createImageBlock(url, options = {}) {
+    return blocks.createImageBlock(url, options);
+  }
+
+  /**
+   * Create a file block
+   */
+  createFileBlock(url, options = {}) {
+    return blocks.createFileBlock(url, options);
+  }
+
+  /**
+   * Create an embed block
+   */
+  createEmbedBlock(url, options = {}) {
+    return blocks.createEmbedBlock(url, options);
+  }
+
+  /**
+   * Create a bookmark block
+   */
+  createBookmarkBlock(url, options = {}) {
+    return blocks.createBookmarkBlock(url, options);
+  }
+
+  /**
+   * Create an original synced block
+   */
+  createSyncedBlock(children = []) {
+    return blocks.createSyncedBlock(children);
+  }
+
+  /**
+   * Create a reference to an existing synced block
+   */
+  createSyncedBlockReference(blockId) {
+    return blocks.createSyncedBlockReference(blockId);
+  }
+
+  /**
+   * Create a table of contents block
+   */
+  createTableOfContentsBlock(options = {}) {
+    return blocks.createTableOfContentsBlock(options);
+  }
+
+  /**
+   * Convert Markdown to an array of blocks
+   */
+  markdownToBlocks(markdown) {
+    return markdownToBlocks(markdown);
+  }
+
+  /**
+   * Normalize children given as blocks or a Markdown string
+   */
+  toBlocks(children) {
+    if (typeof children === 'string') {
+      return markdownToBlocks(children);
+    }
+    return children || [];
   }
 
   /**
    * Extract plain text from rich text array
    */
   extractPlainText(richText) {
-    if (!Array.isArray(richText)) return '';
-    return richText.map(item => item.plain_text || item.text?.content || '').join('');
+    return extractPlainText(richText);
+  }
+
+  /**
+   * Convert a plain JavaScript value to a Notion property value of the given type
+   */
+  toNotionProperty(type, value) {
+    return toNotionProperty(type, value);
+  }
+
+  /**
+   * Convert a Notion property value to a plain JavaScript value
+   */
+  fromNotionProperty(property) {
+    return fromNotionProperty(property);
   }
 
   /**
@@ -572,6 +1487,8 @@ export class NotionAPI {
         return property.number?.toString() || '';
       case 'select':
         return property.select?.name || '';
+      case 'status':
+        return property.status?.name || '';
       case 'multi_select':
         return property.multi_select?.map(item => item.name).join(', ') || '';
       case 'date':
@@ -602,7 +1519,17 @@ export class NotionAPI {
       case 'relation':
         return property.relation?.length > 0 ? `${property.relation.length} relation(s)` : '';
       case 'rollup':
-        return property.rollup?.array?.length > 0 ? `${property.rollup.array.length} item(s)` : '';
+        if (property.rollup?.type === 'array') {
+          return property.rollup.array.map(item => this.formatPropertyValue(item)).filter(Boolean).join(', ');
+        }
+        return this.formatPropertyValue({
+          type: property.rollup?.type,
+          [property.rollup?.type]: property.rollup?.[property.rollup?.type]
+        });
+      case 'unique_id':
+        return fromNotionProperty(property)?.toString() || '';
+      case 'verification':
+        return property.verification?.state || '';
       default:
         return JSON.stringify(property);
     }
@@ -610,31 +1537,107 @@ export class NotionAPI {
 
   /**
    * Get workspace statistics
+   * Users and search results are paginated to the end in parallel. onProgress receives a snapshot after
+   * every 100 items so partial numbers can be shown while counting continues; if a request fails, the
+   * snapshot so far is attached to the error as error.partialResult.
+   * @param {Object} options - { recentLimit, onProgress, requestOptions }
+   * @returns {Promise<Object>} { users: { total, people, bots }, pages, databases, recent, byDatabase, complete,
+   *   updatedAt } plus totalUsers, totalPages and totalDatabases
    */
-  async getWorkspaceStats() {
-    try {
-      const [usersResult, searchResult] = await Promise.all([
-        this.listUsers(),
-        this.search()
-      ]);
-
-      const stats = {
-        totalUsers: usersResult.results?.length || 0,
-        totalPages: 0,
-        totalDatabases: 0
-      };
+  async getWorkspaceStats(options = {}) {
+    const { recentLimit = 10, onProgress = null, requestOptions = {} } = options;
+    const users = { total: 0, people: 0, bots: 0 };
+    const counts = { pages: 0, databases: 0 };
+    const recent = [];
+    const databaseTitles = new Map();
+    const pagesByDatabase = new Map();
+    let complete = false;
+    let failed = false;
+    let seen = 0;
+
+    const itemTitle = (item) => {
+      if (item.object === 'database') {
+        return extractPlainText(item.title);
+      }
+      const title = Object.values(item.properties || {}).find(property => property.type === 'title');
+      return extractPlainText(title?.title);
+    };
 
-      // Count pages and databases
-      searchResult.results?.forEach(item => {
-        if (item.object === 'page') stats.totalPages++;
-        if (item.object === 'database') stats.totalDatabases++;
-      });
+    const snapshot = () => ({
+      users: { ...users },
+      pages: counts.pages,
+      databases: counts.databases,
+      recent: [...recent],
+      byDatabase: [...pagesByDatabase]
+        .map(([databaseId, pages]) => ({ databaseId, title: databaseTitles.get(databaseId) ?? null, pages }))
+        .sort((a, b) => b.pages - a.pages),
+      complete,
+      updatedAt: new Date().toISOString(),
+      totalUsers: users.total,
+      totalPages: counts.pages,
+      totalDatabases: counts.databases
+    });
 
-      return stats;
+    const counted = () => {
+      seen++;
+      if (seen % 100 === 0) {
+        onProgress?.(snapshot());
+      }
+    };
+
+    const countUsers = async () => {
+      for await (const user of this.iterateUsers({ requestOptions })) {
+        if (failed) {
+          return;
+        }
+        users.total++;
+        users[user.type === 'bot' ? 'bots' : 'people']++;
+        counted();
+      }
+    };
+
+    const countItems = async () => {
+      // Newest first, so the first items seen are the most recently edited
+      const sort = { direction: 'descending', timestamp: 'last_edited_time' };
+      for await (const item of this.iterateSearch('', { sort, requestOptions })) {
+        if (failed) {
+          return;
+        }
+        if (item.object === 'database') {
+          counts.databases++;
+          databaseTitles.set(item.id, itemTitle(item));
+        } else {
+          counts.pages++;
+          if (item.parent?.type === 'database_id') {
+            const databaseId = item.parent.database_id;
+            pagesByDatabase.set(databaseId, (pagesByDatabase.get(databaseId) || 0) + 1);
+          }
+        }
+        if (recent.length < recentLimit) {
+          recent.push({
+            id: item.id,
+            object: item.object,
+            title: itemTitle(item),
+            url: item.url,
+            lastEditedTime: item.last_edited_time
+          });
+        }
+        counted();
+      }
+    };
+
+    try {
+      await Promise.all([countUsers(), countItems()]);
     } catch (error) {
-      console.error('Failed to get workspace stats:', error);
-      return null;
+      failed = true;
+      error.partialResult = snapshot();
+      throw error;
     }
+
+    complete = true;
+    const stats = snapshot();
+    onProgress?.(stats);
+    return stats;
   }
 
   /**
@@ -0,0 +1,626 @@
+/**
+ * Block Builders
+ * Builders for every Notion block type, checked against Notion's per-block payload limits
+ */
+
+import { NotionValidationError } from './errors.js';
+import { MAX_TEXT_LENGTH, toRichText, toWritableRichText } from './richText.js';
+
+/**
+ * Notion request limits
+ */
+export const LIMITS = {
+  richTextLength: MAX_TEXT_LENGTH, // characters per rich text segment
+  richTextItems: 100, // segments per rich text array
+  children: 100, // blocks per children array
+  blocksPerRequest: 1000, // blocks per request, counting nested children
+  nesting: 2, // levels of children below the appended blocks
+  urlLength: 2000,
+  equationLength: 1000
+};
+
+/**
+ * Languages accepted by code blocks
+ */
+export const CODE_LANGUAGES = [
+  'abap', 'arduino', 'bash', 'basic', 'c', 'clojure', 'coffeescript', 'c++', 'c#', 'css', 'dart', 'diff', 'docker',
+  'elixir', 'elm', 'erlang', 'flow', 'fortran', 'f#', 'gherkin', 'glsl', 'go', 'graphql', 'groovy', 'haskell', 'html',
+  'java', 'javascript', 'json', 'julia', 'kotlin', 'latex', 'less', 'lisp', 'livescript', 'lua', 'makefile',
+  'markdown', 'markup', 'matlab', 'mermaid', 'nix', 'objective-c', 'ocaml', 'pascal', 'perl', 'php', 'plain text',
+  'powershell', 'prolog', 'protobuf', 'python', 'r', 'reason', 'ruby', 'rust', 'sass', 'scala', 'scheme', 'scss',
+  'shell', 'sql', 'swift', 'typescript', 'vb.net', 'verilog', 'vhdl', 'visual basic', 'webassembly', 'xml', 'yaml',
+  'java/c/c++/c#'
+];
+
+/**
+ * Absolute URLs Notion accepts for external files, embeds and bookmarks
+ */
+export const EXTERNAL_URL = /^https?:\/\/\S+$/i;
+
+function limitError(message, suggestion) {
+  return new NotionValidationError(message, { code: 'validation_error', suggestion });
+}
+
+/**
+ * Build a rich text array and check segment limits
+ */
+function richText(text, options = {}) {
+  const value = toRichText(text, options);
+
+  if (value.length > LIMITS.richTextItems) {
+    throw limitError(
+      `Rich text has ${value.length} segments; Notion allows ${LIMITS.richTextItems}`,
+      'Split the content across several blocks.'
+    );
+  }
+  value.forEach(segment => {
+    const content = segment.text?.content ?? '';
+    if (content.length > LIMITS.richTextLength) {
+      throw limitError(
+        `Rich text segment has ${content.length} characters; Notion allows ${LIMITS.richTextLength}`,
+        'Pass plain text instead of a rich text array to have it split automatically.'
+      );
+    }
+  });
+
+  return value;
+}
+
+/**
+ * Normalize a children array
+ * Builders accept any number of children: planAppend splits them into requests within Notion's limits
+ * when createPage or appendBlockChildren sends them
+ */
+function childArray(children) {
+  return Array.isArray(children) ? children : [];
+}
+
+/**
+ * Check an external URL against the length limit and the schemes Notion accepts
+ */
+function checkUrl(url) {
+  if (!url || typeof url !== 'string') {
+    throw limitError('A URL is required', null);
+  }
+  if (url.length > LIMITS.urlLength) {
+    throw limitError(`URL has ${url.length} characters; Notion allows ${LIMITS.urlLength}`, null);
+  }
+  if (!EXTERNAL_URL.test(url)) {
+    throw limitError(`URL "${url}" is not an http(s) URL`, 'Notion only accepts absolute http:// or https:// URLs.');
+  }
+  return url;
+}
+
+/**
+ * Build a text block ({ rich_text, color, children }) of the given type
+ */
+function textBlock(type, text, options = {}, extra = {}) {
+  const block = {
+    type,
+    [type]: {
+      rich_text: richText(text, options),
+      color: options.color || 'default',
+      ...extra
+    }
+  };
+
+  const children = childArray(options.children);
+  if (children.length > 0) {
+    block[type].children = children;
+  }
+  return block;
+}
+
+/**
+ * Build a media block pointing at an external URL
+ */
+function mediaBlock(type, url, options = {}) {
+  const block = {
+    type,
+    [type]: {
+      type: 'external',
+      external: { url: checkUrl(url) }
+    }
+  };
+  if (options.caption) {
+    block[type].caption = richText(options.caption);
+  }
+  if (options.name && type === 'file') {
+    block[type].name = options.name;
+  }
+  return block;
+}
+
+/**
+ * Create a paragraph block
+ */
+export function createParagraphBlock(text, options = {}) {
+  return textBlock('paragraph', text, options);
+}
+
+/**
+ * Create a heading block (level 1-3)
+ */
+export function createHeadingBlock(text, level = 1, options = {}) {
+  const headingLevel = Math.min(Math.max(Number(level) || 1, 1), 3);
+  const block = textBlock(`heading_${headingLevel}`, text, options, {
+    is_toggleable: options.toggleable || false
+  });
+
+  if (block[block.type].children && !options.toggleable) {
+    throw limitError('Only toggleable headings can have children', 'Pass { toggleable: true }.');
+  }
+  return block;
+}
+
+/**
+ * Create a bulleted list item block
+ */
+export function createBulletedListBlock(text, options = {}) {
+  return textBlock('bulleted_list_item', text, options);
+}
+
+/**
+ * Create a numbered list item block
+ */
+export function createNumberedListBlock(text, options = {}) {
+  return textBlock('numbered_list_item', text, options);
+}
+
+/**
+ * Create a to-do block
+ */
+export function createToDoBlock(text, checked = false, options = {}) {
+  return textBlock('to_do', text, options, { checked: !!checked });
+}
+
+/**
+ * Create a toggle block
+ */
+export function createToggleBlock(text, children = [], options = {}) {
+  return textBlock('toggle', text, { ...options, children });
+}
+
+/**
+ * Create a quote block
+ */
+export function createQuoteBlock(text, options = {}) {
+  return textBlock('quote', text, options);
+}
+
+/**
+ * Create a callout block
+ */
+export function createCalloutBlock(text, icon = '💡', options = {}) {
+  return textBlock('callout', text, options, {
+    icon: { type: 'emoji', emoji: icon }
+  });
+}
+
+/**
+ * Create a code block; unknown languages fall back to 'plain text'
+ */
+export function createCodeBlock(code, language = 'javascript', options = {}) {
+  const normalized = String(language || '').toLowerCase();
+  return {
+    type: 'code',
+    code: {
+      rich_text: richText(code),
+      language: CODE_LANGUAGES.includes(normalized) ? normalized : 'plain text',
+      caption: options.caption ? richText(options.caption) : []
+    }
+  };
+}
+
+/**
+ * Create a divider block
+ */
+export function createDividerBlock() {
+  return { type: 'divider', divider: {} };
+}
+
+/**
+ * Create an equation block from a KaTeX expression
+ */
+export function createEquationBlock(expression) {
+  if (String(expression).length > LIMITS.equationLength) {
+    throw limitError(
+      `Equation has ${String(expression).length} characters; Notion allows ${LIMITS.equationLength}`,
+      null
+    );
+  }
+  return { type: 'equation', equation: { expression: String(expression) } };
+}
+
+/**
+ * Create a table row block from an array of cells (text or rich text arrays)
+ */
+export function createTableRowBlock(cells) {
+  return {
+    type: 'table_row',
+    table_row: {
+      cells: cells.map(cell => (cell === null || cell === undefined || cell === '' ? [] : richText(cell)))
+    }
+  };
+}
+
+/**
+ * Create a table block with its rows
+ * @param {Array<Array>} rows - Rows of cells; short rows are padded to the widest row
+ * @param {Object} options - { hasColumnHeader, hasRowHeader }
+ */
+export function createTableBlock(rows, options = {}) {
+  const width = Math.max(1, ...rows.map(row => row.length));
+  const children = childArray(rows.map(row => createTableRowBlock(
+    [...row, ...Array(width - row.length).fill('')]
+  )));
+
+  return {
+    type: 'table',
+    table: {
+      table_width: width,
+      has_column_header: options.hasColumnHeader || false,
+      has_row_header: options.hasRowHeader || false,
+      children
+    }
+  };
+}
+
+/**
+ * Create a column block holding child blocks
+ */
+export function createColumnBlock(children = []) {
+  return { type: 'column', column: { children: childArray(children) } };
+}
+
+/**
+ * Create a column list from arrays of blocks, one array per column
+ */
+export function createColumnListBlock(columns) {
+  if (columns.length < 2) {
+    throw limitError('A column list needs at least two columns', null);
+  }
+  return {
+    type: 'column_list',
+    column_list: {
+      children: childArray(columns.map(column => (
+        column?.type === 'column' ? column : createColumnBlock(column)
+      )))
+    }
+  };
+}
+
+/**
+ * Create an image block from an external URL
+ */
+export function createImageBlock(url, options = {}) {
+  return mediaBlock('image', url, options);
+}
+
+/**
+ * Create a video block from an external URL
+ */
+export function createVideoBlock(url, options = {}) {
+  return mediaBlock('video', url, options);
+}
+
+/**
+ * Create an audio block from an external URL
+ */
+export function createAudioBlock(url, options = {}) {
+  return mediaBlock('audio', url, options);
+}
+
+/**
+ * Create a file block from an external URL
+ */
+export function createFileBlock(url, options = {}) {
+  return mediaBlock('file', url, options);
+}
+
+/**
+ * Create a PDF block from an external URL
+ */
+export function createPdfBlock(url, options = {}) {
+  return mediaBlock('pdf', url, options);
+}
+
+/**
+ * Create an embed block
+ */
+export function createEmbedBlock(url, options = {}) {
+  const block = { type: 'embed', embed: { url: checkUrl(url) } };
+  if (options.caption) {
+    block.embed.caption = richText(options.caption);
+  }
+  return block;
+}
+
+/**
+ * Create a bookmark block
+ */
+export function createBookmarkBlock(url, options = {}) {
+  return {
+    type: 'bookmark',
+    bookmark: {
+      url: checkUrl(url),
+      caption: options.caption ? richText(options.caption) : []
+    }
+  };
+}
+
+/**
+ * Create an original synced block holding child blocks
+ */
+export function createSyncedBlock(children = []) {
+  return {
+    type: 'synced_block',
+    synced_block: {
+      synced_from: null,
+      children: childArray(children)
+    }
+  };
+}
+
+/**
+ * Create a reference to an existing synced block
+ */
+export function createSyncedBlockReference(blockId) {
+  return {
+    type: 'synced_block',
+    synced_block: {
+      synced_from: { type: 'block_id', block_id: blockId }
+    }
+  };
+}
+
+/**
+ * Create a table of contents block
+ */
+export function createTableOfContentsBlock(options = {}) {
+  return { type: 'table_of_contents', table_of_contents: { color: options.color || 'default' } };
+}
+
+/**
+ * Create a breadcrumb block
+ */
+export function createBreadcrumbBlock() {
+  return { type: 'breadcrumb', breadcrumb: {} };
+}
+
+/**
+ * Create a link to another page
+ */
+export function createLinkToPageBlock(pageId) {
+  return { type: 'link_to_page', link_to_page: { type: 'page_id', page_id: pageId } };
+}
+
+/**
+ * Attach children to a block that supports them
+ */
+export function withChildren(block, children) {
+  return {
+    ...block,
+    [block.type]: {
+      ...block[block.type],
+      children: childArray(children)
+    }
+  };
+}
+
+// Block types Notion rejects unless they are created with this many children (rows or columns)
+const MIN_CHILDREN = {
+  table: 1,
+  column_list: 2,
+  column: 1
+};
+
+/**
+ * Strip nesting and children a single request cannot carry; they become follow-ups
+ * At most `budget` blocks (this one included) stay inline; children past the per-array limit, the budget or
+ * the nesting limit are cut off in order and appended once the inline ones exist. Follow-up paths are child
+ * indices from this block to the block the children belong to.
+ * @returns {Object|null} { block, count, followUps }, or null when the block needs children (tables and
+ *   column layouts) that do not fit in the budget and nesting left
+ */
+function pruneForAppend(block, level, budget) {
+  const value = block[block.type];
+  const children = value?.children;
+  if (!Array.isArray(children) || children.length === 0) {
+    return { block, count: 1, followUps: [] };
+  }
+
+  const minimum = MIN_CHILDREN[block.type] || 0;
+  const followUps = [];
+  const inline = [];
+  let count = 1;
+
+  if (level < LIMITS.nesting) {
+    for (const child of children.slice(0, LIMITS.children)) {
+      const pruned = count < budget ? pruneForAppend(child, level + 1, budget - count) : null;
+      if (!pruned) {
+        break;
+      }
+      count += pruned.count;
+      pruned.followUps.forEach(followUp => followUps.push({ ...followUp, path: [inline.length, ...followUp.path] }));
+      inline.push(pruned.block);
+    }
+  }
+
+  if (inline.length < minimum) {
+    return null;
+  }
+  if (inline.length < children.length) {
+    followUps.push({ path: [], children: children.slice(inline.length) });
+  }
+
+  const pruned = { ...value };
+  if (inline.length > 0) {
+    pruned.children = inline;
+  } else {
+    delete pruned.children;
+  }
+  return { block: { ...block, [block.type]: pruned }, count, followUps };
+}
+
+/**
+ * Split blocks into append requests that fit Notion's limits, preserving order
+ * Each top-level block stays within LIMITS.blocksPerRequest; tables and column layouts too deep to create
+ * with their rows and columns move to follow-up requests as a whole
+ * @param {Array} children - Blocks to append
+ * @returns {Array} Batches of { blocks, sources, followUps }: blocks is the request payload, sources the
+ *   original blocks, and followUps [{ index, path, children }] the content to append once the batch's
+ *   block at `index` (and the nested block at `path` below it) exists
+ * @throws {NotionValidationError} When a table or column layout cannot be created in any single request
+ */
+export function planAppend(children) {
+  const batches = [];
+  let current = null;
+
+  children.forEach(block => {
+    const planned = pruneForAppend(block, 0, LIMITS.blocksPerRequest);
+    if (!planned) {
+      throw limitError(
+        `A ${block.type} block cannot be created: a column starts with a table or column layout nested too deep`,
+        'Start the column with another block, or move the nested table or columns out of the column layout.'
+      );
+    }
+
+    const { block: payload, count, followUps } = planned;
+    if (
+      !current ||
+      current.blocks.length >= LIMITS.children ||
+      current.count + count > LIMITS.blocksPerRequest
+    ) {
+      current = { blocks: [], sources: [], followUps: [], count: 0 };
+      batches.push(current);
+    }
+    followUps.forEach(followUp => current.followUps.push({ index: current.blocks.length, ...followUp }));
+    current.blocks.push(payload);
+    current.sources.push(block);
+    current.count += count;
+  });
+
+  return batches.map(({ blocks, sources, followUps }) => ({ blocks, sources, followUps }));
+}
+
+/**
+ * Fields that can be written back for each block type; rich text fields are cleaned with toWritableRichText
+ */
+const WRITABLE_FIELDS = {
+  paragraph: ['rich_text', 'color'],
+  heading_1: ['rich_text', 'color', 'is_toggleable'],
+  heading_2: ['rich_text', 'color', 'is_toggleable'],
+  heading_3: ['rich_text', 'color', 'is_toggleable'],
+  bulleted_list_item: ['rich_text', 'color'],
+  numbered_list_item: ['rich_text', 'color'],
+  to_do: ['rich_text', 'color', 'checked'],
+  toggle: ['rich_text', 'color'],
+  quote: ['rich_text', 'color'],
+  callout: ['rich_text', 'color', 'icon'],
+  code: ['rich_text', 'language', 'caption'],
+  equation: ['expression'],
+  divider: [],
+  breadcrumb: [],
+  table_of_contents: ['color'],
+  bookmark: ['url', 'caption'],
+  embed: ['url', 'caption'],
+  table: ['table_width', 'has_column_header', 'has_row_header'],
+  table_row: ['cells'],
+  column_list: [],
+  column: [],
+  link_to_page: ['type', 'page_id', 'database_id', 'comment_id'],
+  synced_block: ['synced_from']
+};
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'file', 'pdf'];
+const RICH_TEXT_FIELDS = ['rich_text', 'caption'];
+
+/**
+ * Reason a block read from the API cannot be recreated, or null if it can
+ */
+function uncopyableReason(block) {
+  if (block.type === 'child_page') {
+    return 'Child pages are separate pages and cannot be created by appending blocks';
+  }
+  if (block.type === 'child_database') {
+    return 'Databases cannot be created by appending blocks';
+  }
+  if (MEDIA_TYPES.includes(block.type) && block[block.type]?.type !== 'external') {
+    return 'Files uploaded to Notion cannot be re-uploaded through the API';
+  }
+  if (!MEDIA_TYPES.includes(block.type) && !WRITABLE_FIELDS[block.type]) {
+    return `Block type "${block.type}" cannot be created through the API`;
+  }
+  return null;
+}
+
+/**
+ * Convert a block read from the API (with children from getPageTree) into a create payload
+ * Ids, timestamps, created_by/last_edited_by, has_children and other read-only fields are dropped
+ * @returns {Object} { block, skipped: [{ id, type, reason }] }; block is null when it cannot be copied
+ */
+export function toWritableBlock(block) {
+  const reason = uncopyableReason(block);
+  if (reason) {
+    return { block: null, skipped: [{ id: block.id, type: block.type, reason }] };
+  }
+
+  const source = block[block.type] || {};
+  const value = {};
+
+  if (MEDIA_TYPES.includes(block.type)) {
+    value.type = 'external';
+    value.external = { url: source.external.url };
+    value.caption = toWritableRichText(source.caption);
+    if (block.type === 'file' && source.name) {
+      value.name = source.name;
+    }
+  } else {
+    WRITABLE_FIELDS[block.type]
+      .filter(field => source[field] !== undefined)
+      .forEach(field => {
+        value[field] = RICH_TEXT_FIELDS.includes(field) ? toWritableRichText(source[field]) : source[field];
+      });
+  }
+
+  if (block.type === 'table_row') {
+    value.cells = source.cells.map(toWritableRichText);
+  }
+  // Only emoji and external icons can be set through the API
+  if (block.type === 'callout' && value.icon && !['emoji', 'external'].includes(value.icon.type)) {
+    delete value.icon;
+  }
+  if (block.type === 'synced_block' && value.synced_from) {
+    value.synced_from = { type: 'block_id', block_id: value.synced_from.block_id };
+  }
+
+  const skipped = [];
+  const references = block.type === 'synced_block' && value.synced_from;
+  if (!references && Array.isArray(block.children) && block.children.length > 0) {
+    const converted = toWritableBlocks(block.children);
+    skipped.push(...converted.skipped);
+    if (converted.blocks.length > 0) {
+      value.children = converted.blocks;
+    }
+  }
+
+  return { block: { type: block.type, [block.type]: value }, skipped };
+}
+
+/**
+ * Convert an array of blocks read from the API into create payloads
+ * @returns {Object} { blocks, skipped: [{ id, type, reason }] }
+ */
+export function toWritableBlocks(source) {
+  const blocks = [];
+  const skipped = [];
+  source.forEach(block => {
+    const converted = toWritableBlock(block);
+    if (converted.block) {
+      blocks.push(converted.block);
+    }
+    skipped.push(...converted.skipped);
+  });
+  return { blocks, skipped };
+}
@@ -0,0 +1,336 @@
+/**
+ * Response Cache
+ * Opt-in NotionAPI plugin that caches read endpoints in memory and, optionally, a persistent store
+ *
+ * Each endpoint has its own TTL (0 or missing means not cached). Identical GET requests and read-only
+ * queries that are in flight at the same time share one network call. A write (PATCH, POST or DELETE other
+ * than queries and search), whether it succeeds or fails, drops every cached response that mentions its id, so
+ * updatePage, updateDatabase, updateBlock and deleteBlock invalidate the matching getPage, getDatabase and
+ * getBlock entries. It also drops the responses of its parent (the parent in the response, or in the body
+ * of createPage), so the parent's getBlockChildren listing does not keep a created, changed or deleted child.
+ * Pass { cache: false } in requestOptions to skip the cache, and any identical read in flight, for one read.
+ *
+ * Example:
+ *   const cache = createCachePlugin({ store: createStorageCacheStore(storage) });
+ *   api.use(cache);
+ */
+
+import { createAbortError, createNotionError, isAbortError } from './errors.js';
+import { ID_PATTERN, endpointKey, isReadRequest } from './plugins.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Default TTLs in ms, keyed like the metrics plugin (method and URL with ids as :id)
+ */
+export const DEFAULT_CACHE_TTLS = {
+  'GET /users': 5 * MINUTE,
+  'GET /users/me': 10 * MINUTE,
+  'GET /users/:id': 10 * MINUTE,
+  'GET /databases/:id': 5 * MINUTE,
+  'GET /pages/:id': MINUTE,
+  'GET /blocks/:id': MINUTE,
+  'GET /blocks/:id/children': MINUTE
+};
+
+/**
+ * Ids in a URL, without dashes
+ */
+function idsIn(url) {
+  return (url.match(ID_PATTERN) || []).map(id => id.replace(/-/g, '').toLowerCase());
+}
+
+/**
+ * Id of a page, block or database parent; request bodies often leave out its type ({ page_id })
+ */
+function parentId(parent) {
+  const id = parent?.[parent.type] ?? parent?.page_id ?? parent?.block_id ?? parent?.database_id;
+  return typeof id === 'string' ? id : null;
+}
+
+/**
+ * Identify a request by method, URL, query parameters and body
+ */
+function requestKey(context) {
+  const { params, data } = context.config;
+  const body = typeof data === 'string' ? data : JSON.stringify(data ?? null);
+  return `${context.method} ${context.url} ${JSON.stringify(params ?? null)} ${body}`;
+}
+
+/**
+ * Wait for a shared request, rejecting as soon as this caller's own signal aborts
+ */
+function waitFor(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createNotionError(createAbortError(signal)));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Keep cached responses in StorageManager (localStorage), under its cache: prefix
+ */
+export function createStorageCacheStore(storage) {
+  const prefix = 'api:';
+  return {
+    async get(key) {
+      return storage.getCachedResponse(`${prefix}${key}`);
+    },
+    async set(key, value, ttl) {
+      // StorageManager keeps the expiry to itself; store it with the value for get()
+      storage.cacheResponse(`${prefix}${key}`, { value, expires: Date.now() + ttl }, ttl / MINUTE);
+    },
+    async remove(key) {
+      storage.removeCachedResponse(`${prefix}${key}`);
+    },
+    async keys() {
+      return storage.getCachedResponseKeys(prefix).map(key => key.slice(prefix.length));
+    }
+  };
+}
+
+/**
+ * Keep cached responses in IndexedDB, for larger caches than localStorage allows
+ * @param {Object} options - { name, indexedDB } (defaults to 'notion-api-cache' and the global indexedDB)
+ */
+export function createIndexedDBCacheStore(options = {}) {
+  const { name = 'notion-api-cache', indexedDB = globalThis.indexedDB } = options;
+  const storeName = 'responses';
+  let database = null;
+
+  const open = () => {
+    database = database || new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath: 'key' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return database;
+  };
+
+  const run = async (mode, action) => {
+    const transaction = (await open()).transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    async get(key) {
+      const entry = await run('readonly', store => store.get(key));
+      if (!entry) {
+        return null;
+      }
+      if (entry.expires <= Date.now()) {
+        await run('readwrite', store => store.delete(key));
+        return null;
+      }
+      return { value: entry.value, expires: entry.expires };
+    },
+    async set(key, value, ttl) {
+      await run('readwrite', store => store.put({ key, value, expires: Date.now() + ttl }));
+    },
+    async remove(key) {
+      await run('readwrite', store => store.delete(key));
+    },
+    async keys() {
+      return run('readonly', store => store.getAllKeys());
+    }
+  };
+}
+
+/**
+ * Create the cache plugin
+ * @param {Object} options - { ttl, store, maxEntries }
+ *   ttl overrides DEFAULT_CACHE_TTLS per endpoint; store is a persistent tier with async get(key) (resolving
+ *   { value, expires } or null), set(key, value, ttl), remove(key) and keys() (see createStorageCacheStore
+ *   and createIndexedDBCacheStore); maxEntries bounds the memory tier, evicting the least recently used entry
+ * @returns {Object} Plugin with invalidate(id), clear() and stats()
+ */
+export function createCachePlugin(options = {}) {
+  const { store = null, maxEntries = 500 } = options;
+  const ttls = { ...DEFAULT_CACHE_TTLS, ...options.ttl };
+  const memory = new Map();
+  const inFlight = new Map();
+  const counters = { hits: 0, persistentHits: 0, misses: 0, deduplicated: 0, invalidated: 0 };
+  // Bumped by every invalidation, so a read that was in flight during a write is not cached
+  let generation = 0;
+
+  const remember = (key, value, expires) => {
+    memory.delete(key);
+    memory.set(key, { value, expires });
+    if (memory.size > maxEntries) {
+      memory.delete(memory.keys().next().value);
+    }
+  };
+
+  const readMemory = (key) => {
+    const entry = memory.get(key);
+    if (!entry || entry.expires <= Date.now()) {
+      memory.delete(key);
+      return undefined;
+    }
+    // Move to the end so eviction drops the least recently used entry
+    remember(key, entry.value, entry.expires);
+    return entry.value;
+  };
+
+  const invalidate = async (id) => {
+    const normalized = id.replace(/-/g, '').toLowerCase();
+    const matches = (key) => idsIn(key).includes(normalized);
+    generation++;
+
+    const stale = [...memory.keys()].filter(matches);
+    stale.forEach(key => memory.delete(key));
+    if (store) {
+      const persisted = (await store.keys()).filter(matches);
+      await Promise.all(persisted.map(key => store.remove(key)));
+      stale.push(...persisted.filter(key => !stale.includes(key)));
+    }
+    counters.invalidated += stale.length;
+  };
+
+  // A fresh read may have replaced the entry of an identical read still in flight
+  const forget = (entry) => {
+    if (inFlight.get(entry.key) === entry.deferred) {
+      inFlight.delete(entry.key);
+    }
+  };
+
+  // A write fails or succeeds: either way the cached copy may be stale, and so may its parent's children
+  const afterWrite = async (context, data = null) => {
+    if (isReadRequest(context)) {
+      return;
+    }
+    const ids = idsIn([context.url, parentId(data?.parent), parentId(context.config.data?.parent)].join(' '));
+    await Promise.all([...new Set(ids)].map(invalidate));
+  };
+
+  return {
+    name: 'cache',
+
+    async beforeRequest(context) {
+      if (!isReadRequest(context)) {
+        return undefined;
+      }
+
+      const key = requestKey(context);
+      const ttl = ttls[endpointKey(context)] || 0;
+      context.state.cache = { key, ttl };
+
+      const fresh = context.requestOptions.cache === false;
+      if (ttl && !fresh) {
+        const cached = readMemory(key);
+        if (cached !== undefined) {
+          counters.hits++;
+          return structuredClone(cached);
+        }
+        // The persisted entry keeps its own expiry, so it is not served for longer than its TTL
+        const persisted = store ? await store.get(key) : null;
+        if (persisted?.expires > Date.now()) {
+          counters.persistentHits++;
+          remember(key, persisted.value, persisted.expires);
+          return structuredClone(persisted.value);
+        }
+      }
+
+      // A fresh read must not join one that may have started before a write
+      const pending = fresh ? null : inFlight.get(key);
+      if (pending) {
+        counters.deduplicated++;
+        const { signal } = context.requestOptions;
+        try {
+          return structuredClone(await waitFor(pending.promise, signal));
+        } catch (error) {
+          // Another caller's cancelled request says nothing about this one: send it on its own
+          if (!isAbortError(error) || signal?.aborted) {
+            throw error;
+          }
+        }
+      }
+
+      counters.misses++;
+      const deferred = {};
+      deferred.promise = new Promise((resolve, reject) => {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+      });
+      // Waiters handle rejections; keep unobserved ones from surfacing as unhandled
+      deferred.promise.catch(() => {});
+      inFlight.set(key, deferred);
+      Object.assign(context.state.cache, { deferred, generation });
+      return undefined;
+    },
+
+    async afterResponse(context, data) {
+      const entry = context.state.cache;
+      if (!entry?.deferred) {
+        await afterWrite(context, data);
+        return undefined;
+      }
+
+      forget(entry);
+      entry.deferred.resolve(data);
+      if (entry.ttl && entry.generation === generation) {
+        remember(entry.key, structuredClone(data), Date.now() + entry.ttl);
+        await store?.set(entry.key, data, entry.ttl);
+      }
+      return undefined;
+    },
+
+    async onError(context, error) {
+      const entry = context.state.cache;
+      if (entry?.deferred) {
+        forget(entry);
+        entry.deferred.reject(error);
+      } else {
+        await afterWrite(context);
+      }
+      return undefined;
+    },
+
+    /**
+     * Drop every cached response whose URL contains the id
+     */
+    invalidate,
+
+    /**
+     * Drop the memory tier and every persisted response
+     * Reads in flight still answer their callers but are not cached, and later reads do not join them
+     */
+    async clear() {
+      generation++;
+      memory.clear();
+      inFlight.clear();
+      if (store) {
+        await Promise.all((await store.keys()).map(key => store.remove(key)));
+      }
+    },
+
+    /**
+     * Counters: { hits, persistentHits, misses, deduplicated, invalidated, entries, inFlight }
+     */
+    stats() {
+      return { ...counters, entries: memory.size, inFlight: inFlight.size };
+    }
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * Optimistic Concurrency
+ * Refuse page and block updates when someone else edited the resource first
+ *
+ * Notion has no conditional writes, so the guard reads the resource right before patching and compares its
+ * last_edited_time with the one the caller based the edit on. Notion rounds last_edited_time to the minute;
+ * pass the page or block you read (not just its timestamp) to also catch same-minute edits of the fields
+ * being written. A write landing between the check and the patch can still slip through.
+ *
+ * Example:
+ *   const page = await api.getPage(pageId);
+ *   await api.updatePage(pageId, changes, null, { ifUnmodifiedSince: page, merge: createPropertyMerge() });
+ */
+
+import { NotionConflictError, NotionValidationError } from './errors.js';
+
+// ISO 8601 date or date-time, as Notion writes last_edited_time
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Find a page property by name or id, the two keys an update may use
+ */
+function findProperty(page, key) {
+  const properties = page?.properties || {};
+  return properties[key] ?? Object.values(properties).find(property => property.id === key);
+}
+
+/**
+ * Compare two property or block values; both come from the API, so unchanged values serialize identically
+ */
+function sameValue(left, right) {
+  return JSON.stringify(left ?? null) === JSON.stringify(right ?? null);
+}
+
+/**
+ * Check whether a resource changed since the version an edit was based on
+ * @param {Object} current - Resource as it is now
+ * @param {string} since - last_edited_time the edit was based on
+ * @param {Object|null} base - Resource as the caller read it, to compare the written fields
+ * @param {Object} changes - Page properties or block updates about to be written
+ */
+export function isModifiedSince(current, since, base = null, changes = {}) {
+  if (Date.parse(current.last_edited_time) > Date.parse(since)) {
+    return true;
+  }
+  if (!base) {
+    return false;
+  }
+  if (current.object === 'page') {
+    return Object.keys(changes).some(key => !sameValue(findProperty(base, key), findProperty(current, key)));
+  }
+  return !sameValue(base[base.type], current[current.type]);
+}
+
+/**
+ * Build the error raised when a resource changed under an edit
+ * Carries error.current (the resource now), error.base (as the caller read it, when given), error.changes
+ * (the rejected update) and error.conflicts (property names both sides changed, for merges)
+ */
+export function createConflictError(versions, conflicts = []) {
+  const { current, base = null, changes, since } = versions;
+  const kind = current.object === 'page' ? 'Page' : 'Block';
+  const detail = conflicts.length ? ` (${conflicts.join(', ')} changed on both sides)` : '';
+  const error = new NotionConflictError(
+    `${kind} ${current.id} was edited at ${current.last_edited_time}, after ${since}${detail}`,
+    {
+      code: 'conflict_error',
+      suggestion: 'Reload it and reapply your changes, or pass a merge callback to combine both edits.'
+    }
+  );
+  Object.assign(error, { current, base, changes, conflicts });
+  return error;
+}
+
+/**
+ * Property-level three-way merge for updatePage's merge option
+ * Notion only writes the properties an update names, so edits to other properties are kept as they are;
+ * a property the update writes that was also changed since base is a conflict. resolve(name, { base,
+ * current, mine }) may settle a conflict by returning the value to write (undefined leaves it unresolved).
+ * @param {Object} options - { resolve }
+ * @returns {Function} merge({ base, current, changes, since }) returning the properties to write
+ */
+export function createPropertyMerge(options = {}) {
+  const { resolve = null } = options;
+
+  return async (versions) => {
+    const { base, current, changes } = versions;
+    if (!base) {
+      // Without the version the edit started from, nothing tells whose change a difference is
+      throw createConflictError(versions, Object.keys(changes));
+    }
+
+    const merged = {};
+    const conflicts = [];
+    for (const [name, mine] of Object.entries(changes)) {
+      const theirs = findProperty(current, name);
+      const original = findProperty(base, name);
+      if (sameValue(original, theirs)) {
+        merged[name] = mine;
+        continue;
+      }
+      const resolved = resolve ? await resolve(name, { base: original, current: theirs, mine }) : undefined;
+      if (resolved === undefined) {
+        conflicts.push(name);
+      } else {
+        merged[name] = resolved;
+      }
+    }
+
+    if (conflicts.length) {
+      throw createConflictError(versions, conflicts);
+    }
+    return merged;
+  };
+}
+
+/**
+ * Read ifUnmodifiedSince as { since, base }
+ * A value the guard cannot compare against would silently let every update through, so it is rejected
+ * @param {Date|string|Object} ifUnmodifiedSince - Date, ISO timestamp, or the page/block the edit was based on
+ * @throws {NotionValidationError} For anything else
+ */
+function resolveVersion(ifUnmodifiedSince) {
+  const value = ifUnmodifiedSince;
+  if (value instanceof Date) {
+    if (!Number.isNaN(value.getTime())) {
+      return { since: value.toISOString(), base: null };
+    }
+  } else if (typeof value === 'string') {
+    if (ISO_TIMESTAMP.test(value) && !Number.isNaN(Date.parse(value))) {
+      return { since: value, base: null };
+    }
+  } else if (value && typeof value === 'object' && !Number.isNaN(Date.parse(value.last_edited_time))) {
+    return { since: value.last_edited_time, base: value };
+  }
+
+  const shown = value instanceof Date ? 'an invalid Date' : JSON.stringify(value) ?? String(value);
+  throw new NotionValidationError(
+    `ifUnmodifiedSince must be a Date, an ISO timestamp or a page or block with last_edited_time, not ${shown}`,
+    {
+      code: 'validation_error',
+      suggestion: 'Pass the page or block you read, or its last_edited_time (e.g. 2024-05-01T12:00:00.000Z).'
+    }
+  );
+}
+
+/**
+ * Check a resource before an update and return the changes to write
+ * @param {Function} read - Reads the resource as it is now
+ * @param {Object} changes - Page properties or block updates
+ * @param {Object} options - { ifUnmodifiedSince, merge }
+ *   ifUnmodifiedSince is a Date, an ISO last_edited_time or the page/block the edit was based on (see
+ *   resolveVersion); merge({ base, current, changes, since }) returns the changes to write instead of failing
+ * @throws {NotionValidationError} When ifUnmodifiedSince is none of these
+ * @throws {NotionConflictError} When the resource changed and there is no merge callback
+ */
+export async function guardUpdate(read, changes, options) {
+  const { ifUnmodifiedSince, merge = null } = options;
+  const { since, base } = resolveVersion(ifUnmodifiedSince);
+  const current = await read();
+
+  if (!isModifiedSince(current, since, base, changes)) {
+    return changes;
+  }
+
+  const versions = { base, current, changes, since };
+  const merged = merge ? await merge(versions) : undefined;
+  if (merged === undefined || merged === null) {
+    throw createConflictError(versions);
+  }
+  return merged;
+}
@@ -0,0 +1,490 @@
+/**
+ * CSV Import
+ * Create or update database pages from CSV rows, mapping columns to properties and coercing each cell
+ *
+ * Cells are read as text and coerced to the property type: numbers accept thousands separators,
+ * currency symbols and percentages (with a decimal point unless the decimal option is ','); checkboxes
+ * accept yes/no, true/false, 1/0 and x; dates accept ISO dates or "start → end" ranges; people accept ids,
+ * emails or names; relations accept page ids, page URLs or titles from the related database. List cells
+ * are comma separated.
+ */
+
+import { NotionValidationError, NotionConflictError } from './errors.js';
+import { extractPlainText } from './richText.js';
+import { READ_ONLY_PROPERTY_TYPES, fromNotionProperty, toNotionProperty } from './properties.js';
+import { cellText } from './export.js';
+
+// Property types that can identify a row in upsert mode
+export const UPSERT_KEY_TYPES = ['title', 'rich_text', 'number', 'email', 'url', 'phone_number', 'select', 'unique_id'];
+
+const UUID = /([0-9a-f]{8})-?([0-9a-f]{4})-?([0-9a-f]{4})-?([0-9a-f]{4})-?([0-9a-f]{12})(?:$|[?#])/i;
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', '✓', 'checked'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', '', 'unchecked'];
+
+function importError(message, suggestion = null) {
+  return new NotionValidationError(message, { code: 'validation_error', suggestion });
+}
+
+/**
+ * Pick the delimiter that splits the header line into the most columns
+ */
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  return [',', ';', '\t'].reduce((best, delimiter) =>
+    header.split(delimiter).length > header.split(best).length ? delimiter : best, ',');
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting, CRLF or LF line endings, optional UTF-8 BOM)
+ * @param {string} text - CSV text
+ * @param {Object} options - { delimiter: detected from the header line when omitted }
+ * @returns {Object} { headers, rows: [{ line, values: { [header]: text } }] }
+ */
+export function parseCsv(text, options = {}) {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+        if (char === '\n') {
+          line++;
+        }
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push({ line: recordLine, cells: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw importError(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, cells: record });
+  }
+
+  const nonEmpty = records.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    throw importError('The CSV file is empty');
+  }
+
+  const headers = nonEmpty[0].cells.map(header => header.trim());
+  const rows = nonEmpty.slice(1).map(({ line: rowLine, cells }) => ({
+    line: rowLine,
+    values: Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? '']))
+  }));
+  return { headers, rows };
+}
+
+/**
+ * Suggest a column mapping by matching headers to property names (case and spacing insensitive)
+ * @returns {Object} { [column]: propertyName }
+ */
+export function suggestMapping(headers, database) {
+  const normalize = (name) => name.toLowerCase().replace(/[\s_-]+/g, '');
+  const properties = Object.keys(database?.properties || {});
+  const mapping = {};
+  headers.forEach(header => {
+    const match = properties.find(name => normalize(name) === normalize(header));
+    if (match && !READ_ONLY_PROPERTY_TYPES.includes(database.properties[match].type)) {
+      mapping[header] = match;
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Split a list cell on commas
+ */
+function splitList(text) {
+  return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read a page id from a UUID (with or without dashes) or a Notion URL
+ */
+function parseId(text) {
+  const match = text.trim().match(UUID);
+  return match ? match.slice(1).join('-').toLowerCase() : null;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ */
+function toLocalDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Read one date boundary: ISO strings pass through, other formats are parsed by Date
+ */
+function parseDate(text) {
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return text;
+  }
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    throw importError(`"${text}" is not a date`, 'Use ISO dates such as 2024-03-14 or 2024-03-14T09:30:00Z.');
+  }
+  return /\d:\d/.test(text) ? date.toISOString() : toLocalDate(date);
+}
+
+/**
+ * Coerce a number cell: "1,234.5", "$12", "15%" (percent formats store 0.15)
+ * With decimal ',' the separators swap: "1.234,5"
+ */
+function parseNumber(text, schema, decimal = '.') {
+  if (!/\d/.test(text)) {
+    throw importError(`"${text}" is not a number`);
+  }
+  const group = decimal === ',' ? '.' : ',';
+  const percent = text.endsWith('%');
+  const [whole, fraction, ...rest] = text.replace(/[\s$€£¥%]/g, '').split(decimal);
+  const groups = whole.replace(/^[+-]/, '').split(group);
+
+  // "1.234,56" read with a decimal point, or "1,5", would otherwise import as a different number
+  const misgrouped = (groups.length > 1 && !/^\d{1,3}$/.test(groups[0])) ||
+    groups.slice(1).some(digits => !/^\d{3}$/.test(digits));
+  if (rest.length > 0 || fraction?.includes(group) || misgrouped) {
+    throw importError(
+      `"${text}" does not use "${decimal}" as its decimal separator`,
+      `Pass { decimal: '${group}' } for numbers written like 1${decimal}234${group}5.`
+    );
+  }
+
+  const number = Number(`${whole.split(group).join('')}${fraction === undefined ? '' : `.${fraction}`}`);
+  if (Number.isNaN(number)) {
+    throw importError(`"${text}" is not a number`);
+  }
+  return percent && schema.number?.format?.startsWith('percent') ? number / 100 : number;
+}
+
+/**
+ * Look up users and related pages by name, loading each list once
+ */
+function createLookups(api, requestOptions) {
+  let users = null;
+  const related = new Map();
+
+  return {
+    async userId(text) {
+      const id = parseId(text);
+      if (id) {
+        return id;
+      }
+      if (!users) {
+        users = [];
+        for await (const user of api.iterateUsers({ requestOptions })) {
+          users.push(user);
+        }
+      }
+      const key = text.toLowerCase();
+      const match = users.find(user => user.person?.email?.toLowerCase() === key || user.name?.toLowerCase() === key);
+      if (!match) {
+        throw importError(`No workspace user matches "${text}"`, 'Use a user id, email or exact name.');
+      }
+      return match.id;
+    },
+
+    async pageId(text, databaseId) {
+      const id = parseId(text);
+      if (id) {
+        return id;
+      }
+      if (!databaseId) {
+        throw importError(`"${text}" is not a page id or URL`);
+      }
+      if (!related.has(databaseId)) {
+        const titles = new Map();
+        for await (const page of api.iterateDatabase(databaseId, { requestOptions })) {
+          const title = Object.values(page.properties).find(property => property.type === 'title');
+          const key = extractPlainText(title?.title).trim().toLowerCase();
+          titles.set(key, [...(titles.get(key) || []), page.id]);
+        }
+        related.set(databaseId, titles);
+      }
+      const matches = related.get(databaseId).get(text.toLowerCase()) || [];
+      if (matches.length !== 1) {
+        throw importError(matches.length
+          ? `"${text}" matches ${matches.length} related pages`
+          : `No related page is titled "${text}"`);
+      }
+      return matches[0];
+    }
+  };
+}
+
+/**
+ * Coerce a cell to the plain value toNotionProperty expects for the property type
+ * @param {string} text - Cell text
+ * @param {Object} schema - Database property the cell is mapped to
+ * @param {Object} lookups - Resolves people and relation names (only used for those types)
+ * @param {Object} options - { decimal: '.' or ',' }
+ * @throws {NotionValidationError} When the cell does not fit the property type
+ */
+export async function coerceCell(text, schema, lookups = null, options = {}) {
+  const value = text.trim();
+
+  switch (schema.type) {
+    case 'title':
+    case 'rich_text':
+      return text;
+    case 'number':
+      return value === '' ? null : parseNumber(value, schema, options.decimal);
+    case 'checkbox': {
+      const key = value.toLowerCase();
+      if (!TRUE_VALUES.includes(key) && !FALSE_VALUES.includes(key)) {
+        throw importError(`"${value}" is not a checkbox value`, 'Use true/false, yes/no, 1/0 or x.');
+      }
+      return TRUE_VALUES.includes(key);
+    }
+    case 'status': {
+      const options = schema.status?.options?.map(option => option.name) || [];
+      if (value && !options.includes(value)) {
+        throw importError(`"${value}" is not a status option (${options.join(', ')})`);
+      }
+      return value || null;
+    }
+    case 'multi_select':
+    case 'files':
+      return splitList(value);
+    case 'date': {
+      if (value === '') {
+        return null;
+      }
+      const [start, end] = value.split(/\s*(?:→|\/(?=\d{4}-))\s*/);
+      return { start: parseDate(start), end: end ? parseDate(end) : null };
+    }
+    case 'email':
+      if (value && !/^[^\s@]+@[^\s@]+$/.test(value)) {
+        throw importError(`"${value}" is not an email address`);
+      }
+      return value || null;
+    case 'people':
+      return Promise.all(splitList(value).map(item => lookups.userId(item)));
+    case 'relation':
+      return Promise.all(splitList(value).map(item => lookups.pageId(item, schema.relation?.database_id)));
+    default:
+      return value || null;
+  }
+}
+
+/**
+ * Check a column mapping against the database schema
+ * @throws {NotionValidationError} Listing every problem found
+ */
+export function validateMapping(mapping, headers, database, upsertKey = null) {
+  const problems = [];
+  const mapped = Object.values(mapping);
+
+  Object.entries(mapping).forEach(([column, name]) => {
+    const schema = database?.properties?.[name];
+    if (!headers.includes(column)) {
+      problems.push(`Column "${column}" is not in the CSV`);
+    } else if (!schema) {
+      problems.push(`Unknown property "${name}"`);
+    } else if (READ_ONLY_PROPERTY_TYPES.includes(schema.type) && name !== upsertKey) {
+      problems.push(`Property "${name}" is ${schema.type}, which Notion computes`);
+    }
+  });
+  mapped.filter((name, index) => mapped.indexOf(name) !== index).forEach(name => {
+    problems.push(`Property "${name}" is mapped from more than one column`);
+  });
+
+  if (upsertKey) {
+    const type = database?.properties?.[upsertKey]?.type;
+    if (!mapped.includes(upsertKey)) {
+      problems.push(`Upsert key "${upsertKey}" is not mapped from any column`);
+    } else if (type && !UPSERT_KEY_TYPES.includes(type)) {
+      problems.push(`Upsert key "${upsertKey}" is ${type}; use one of ${UPSERT_KEY_TYPES.join(', ')}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw importError(
+      `Invalid column mapping: ${problems.join('; ')}`,
+      `Available properties: ${Object.keys(database?.properties || {}).join(', ')}`
+    );
+  }
+}
+
+/**
+ * Index existing pages by the text of their upsert key
+ */
+async function indexPages(api, databaseId, upsertKey, requestOptions) {
+  const index = new Map();
+  for await (const page of api.iterateDatabase(databaseId, { requestOptions })) {
+    const key = cellText(fromNotionProperty(page.properties[upsertKey])).trim();
+    if (key) {
+      index.set(key, [...(index.get(key) || []), page.id]);
+    }
+  }
+  return index;
+}
+
+/**
+ * Errors that belong to one row; anything else (auth, network, rate limits, aborts) stops the import
+ */
+function isRowError(error) {
+  return error instanceof NotionValidationError || error instanceof NotionConflictError;
+}
+
+/**
+ * Import CSV rows into a database
+ * Rows are written one at a time through the rate limiter. Row-level problems are collected in the
+ * report and the import continues; other failures stop it, with the report attached to the error as
+ * error.partialResult so the import can resume from report.nextRow. Creates are only retried after rate
+ * limits: a create that timed out may have been written, so check the row before resuming past it.
+ * @param {NotionAPI} api - API instance
+ * @param {string} databaseId - Target database
+ * @param {string|Object} csv - CSV text or parseCsv output
+ * @param {Object} options - { mapping, upsertKey, dryRun, startRow, decimal, onProgress, requestOptions }
+ *   mapping defaults to suggestMapping; upsertKey updates the page whose key property matches the row;
+ *   startRow is the zero-based data row to start from; decimal is the decimal separator of number cells
+ *   ('.' by default, ',' for 1.234,5); onProgress receives
+ *   { row, processed, total, percent, created, updated, failed } after each row
+ * @returns {Promise<Object>} Report: { dryRun, total, startRow, nextRow, created, updated, skipped, errors, pages }
+ */
+export async function importCsv(api, databaseId, csv, options = {}) {
+  const {
+    upsertKey = null,
+    dryRun = false,
+    startRow = 0,
+    decimal = '.',
+    onProgress = null,
+    requestOptions = {}
+  } = options;
+
+  const { headers, rows } = typeof csv === 'string' ? parseCsv(csv, options) : csv;
+  const database = await api.getDatabase(databaseId, requestOptions);
+  const mapping = options.mapping || suggestMapping(headers, database);
+  validateMapping(mapping, headers, database, upsertKey);
+
+  const lookups = createLookups(api, requestOptions);
+  const index = upsertKey ? await indexPages(api, databaseId, upsertKey, requestOptions) : null;
+  const parent = { type: 'database_id', database_id: databaseId };
+  // A create that timed out or failed with a 5xx may still have been written; retrying it would
+  // duplicate the row, so only rate-limited creates are retried
+  const createOptions = {
+    ...requestOptions,
+    retry: requestOptions.retry === false
+      ? false
+      : { ...requestOptions.retry, retryOnTimeout: false, retryOnStatus: [429] }
+  };
+  const report = {
+    dryRun,
+    total: rows.length,
+    startRow,
+    nextRow: startRow,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    errors: [],
+    pages: []
+  };
+
+  for (let rowIndex = startRow; rowIndex < rows.length; rowIndex++) {
+    const { line, values } = rows[rowIndex];
+    const row = rowIndex + 1;
+
+    try {
+      const properties = {};
+      let key = null;
+      let blank = true;
+
+      for (const [column, name] of Object.entries(mapping)) {
+        const schema = database.properties[name];
+        const text = values[column] ?? '';
+        blank = blank && text.trim() === '';
+        try {
+          const value = await coerceCell(text, schema, lookups, { decimal });
+          if (name === upsertKey) {
+            key = cellText(value).trim();
+          }
+          if (!READ_ONLY_PROPERTY_TYPES.includes(schema.type)) {
+            properties[name] = toNotionProperty(schema.type, value);
+          }
+        } catch (error) {
+          error.column = column;
+          throw error;
+        }
+      }
+
+      if (blank) {
+        report.skipped++;
+      } else {
+        const matches = key ? index.get(key) || [] : [];
+        if (matches.length > 1) {
+          throw importError(`${upsertKey} "${key}" matches ${matches.length} existing pages`);
+        }
+
+        const action = matches.length === 1 ? 'update' : 'create';
+        let id = matches[0] || null;
+        if (!dryRun) {
+          const page = action === 'update'
+            ? await api.updatePage(id, properties, null, requestOptions)
+            : await api.createPage(parent, properties, [], createOptions);
+          id = page.id;
+        }
+        // Later rows with the same key update this page instead of creating a duplicate
+        if (key && action === 'create') {
+          index.set(key, [id]);
+        }
+        report[action === 'update' ? 'updated' : 'created']++;
+        report.pages.push({ row, id, action });
+      }
+    } catch (error) {
+      if (!isRowError(error)) {
+        report.nextRow = rowIndex;
+        error.partialResult = report;
+        throw error;
+      }
+      report.errors.push({ row, line, column: error.column ?? null, message: error.message });
+    }
+
+    report.nextRow = rowIndex + 1;
+    const processed = rowIndex + 1 - startRow;
+    const total = rows.length - startRow;
+    onProgress?.({
+      row,
+      processed,
+      total,
+      percent: total ? Math.round((processed / total) * 100) : 100,
+      created: report.created,
+      updated: report.updated,
+      failed: report.errors.length
+    });
+  }
+
+  return report;
+}
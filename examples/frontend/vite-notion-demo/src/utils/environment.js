@@ -0,0 +1,27 @@
+/**
+ * Environment
+ * Detect where the client runs and pick the matching Notion endpoint
+ */
+
+export const NOTION_API_URL = 'https://api.notion.com/v1';
+export const DEFAULT_NOTION_VERSION = '2022-06-28';
+
+/**
+ * Check whether the client runs in a browser page (as opposed to Node, workers or serverless functions)
+ */
+export function isBrowser() {
+  return typeof window !== 'undefined' && typeof window.document !== 'undefined';
+}
+
+/**
+ * Pick the base URL for the current environment
+ * Notion does not allow cross-origin calls, so browsers go through the Vite dev proxy locally and the
+ * Netlify function in production; everywhere else the client talks to api.notion.com directly
+ */
+export function defaultBaseURL() {
+  if (!isBrowser()) {
+    return NOTION_API_URL;
+  }
+  const { hostname } = window.location;
+  return hostname === 'localhost' || hostname === '127.0.0.1' ? '/api/notion/v1' : '/.netlify/functions/notion-proxy';
+}
@@ -0,0 +1,354 @@
+/**
+ * Notion Errors
+ * Typed error hierarchy for Notion API failures, mapped from the error code catalog in docs/errors
+ */
+
+import { isBrowser } from './environment.js';
+
+/**
+ * Base error for every failed NotionAPI call
+ */
+export class NotionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'NotionError';
+    this.status = details.status ?? null;
+    this.code = details.code || 'unknown_error';
+    this.requestId = details.requestId || null;
+    this.notionMessage = details.notionMessage || null;
+    this.suggestion = details.suggestion || null;
+    this.isRetryable = details.isRetryable ?? false;
+    this.request = details.request || null;
+    this.cause = details.cause;
+  }
+
+  /**
+   * Plain object for logging and display
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      status: this.status,
+      code: this.code,
+      requestId: this.requestId,
+      notionMessage: this.notionMessage,
+      suggestion: this.suggestion,
+      isRetryable: this.isRetryable,
+      request: this.request
+    };
+  }
+}
+
+export class NotionAuthError extends NotionError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotionAuthError';
+  }
+}
+
+export class NotionPermissionError extends NotionError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotionPermissionError';
+  }
+}
+
+export class NotionNotFoundError extends NotionError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotionNotFoundError';
+  }
+}
+
+export class NotionValidationError extends NotionError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotionValidationError';
+  }
+}
+
+export class NotionConflictError extends NotionError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotionConflictError';
+  }
+}
+
+export class NotionRateLimitError extends NotionError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotionRateLimitError';
+    this.retryAfter = details?.retryAfter ?? null;
+  }
+}
+
+export class NotionServerError extends NotionError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotionServerError';
+  }
+}
+
+export class NotionNetworkError extends NotionError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotionNetworkError';
+  }
+}
+
+export class NotionAbortError extends NotionError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotionAbortError';
+  }
+}
+
+/**
+ * Error used to reject work cancelled through an AbortSignal before a request was sent
+ */
+export function createAbortError(signal) {
+  const error = new Error(signal?.reason?.message || 'The operation was aborted');
+  error.name = 'AbortError';
+  error.code = 'ERR_CANCELED';
+  return error;
+}
+
+/**
+ * Check whether an error (raw or formatted) comes from a cancelled request
+ */
+export function isAbortError(error) {
+  return error instanceof NotionAbortError ||
+    error?.code === 'ERR_CANCELED' ||
+    error?.name === 'AbortError' ||
+    error?.name === 'CanceledError';
+}
+
+/**
+ * Notion error codes with their error class, retryability and suggested fix
+ */
+export const ERROR_CATALOG = {
+  unauthorized: {
+    ErrorClass: NotionAuthError,
+    isRetryable: false,
+    suggestion: 'Check that your integration token is valid and starts with "secret_" or "ntn_".'
+  },
+  restricted_resource: {
+    ErrorClass: NotionPermissionError,
+    isRetryable: false,
+    suggestion: 'Share the page or database with your integration and check its capabilities.'
+  },
+  object_not_found: {
+    ErrorClass: NotionNotFoundError,
+    isRetryable: false,
+    suggestion: 'Verify the ID and make sure the resource is shared with your integration.'
+  },
+  conflict_error: {
+    ErrorClass: NotionConflictError,
+    isRetryable: false,
+    suggestion: 'The resource was modified concurrently. Fetch the latest version and try again.'
+  },
+  rate_limited: {
+    ErrorClass: NotionRateLimitError,
+    isRetryable: true,
+    suggestion: 'Slow down: Notion allows about 3 requests per second per integration.'
+  },
+  invalid_request: {
+    ErrorClass: NotionValidationError,
+    isRetryable: false,
+    suggestion: 'Check required fields and the request body format.'
+  },
+  invalid_request_url: {
+    ErrorClass: NotionValidationError,
+    isRetryable: false,
+    suggestion: 'Check the endpoint path and the IDs in the URL.'
+  },
+  invalid_json: {
+    ErrorClass: NotionValidationError,
+    isRetryable: false,
+    suggestion: 'The request body could not be parsed as JSON.'
+  },
+  validation_error: {
+    ErrorClass: NotionValidationError,
+    isRetryable: false,
+    suggestion: 'Fix the parameter named in the error message; property names and types must match the schema.'
+  },
+  missing_version: {
+    ErrorClass: NotionValidationError,
+    isRetryable: false,
+    suggestion: 'Send a Notion-Version header with every request.'
+  },
+  internal_server_error: {
+    ErrorClass: NotionServerError,
+    isRetryable: true,
+    suggestion: 'Temporary Notion issue. Retry with backoff.'
+  },
+  service_unavailable: {
+    ErrorClass: NotionServerError,
+    isRetryable: true,
+    suggestion: 'Notion is temporarily unavailable. Retry with backoff.'
+  },
+  database_connection_unavailable: {
+    ErrorClass: NotionServerError,
+    isRetryable: true,
+    suggestion: 'Notion\'s database is temporarily unreachable. Retry with backoff.'
+  },
+  gateway_timeout: {
+    ErrorClass: NotionServerError,
+    isRetryable: true,
+    suggestion: 'Notion timed out processing the request. Retry, or split it into smaller requests.'
+  }
+};
+
+/**
+ * Fallback codes for responses without a Notion error body
+ */
+const STATUS_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'restricted_resource',
+  404: 'object_not_found',
+  409: 'conflict_error',
+  429: 'rate_limited',
+  500: 'internal_server_error',
+  502: 'service_unavailable',
+  503: 'service_unavailable',
+  504: 'gateway_timeout'
+};
+
+/**
+ * User-friendly message for an HTTP status
+ */
+function messageForStatus(status, notionMessage) {
+  switch (status) {
+    case 400:
+      return `Bad Request: ${notionMessage || 'Invalid request parameters'}`;
+    case 401:
+      return 'Authentication failed: Please check your API token';
+    case 403:
+      return 'Access denied: Insufficient permissions for this resource';
+    case 404:
+      return 'Resource not found: The requested item does not exist or is not accessible';
+    case 409:
+      return `Conflict: ${notionMessage || 'Resource conflict'}`;
+    case 429:
+      return 'Rate limit exceeded: Please wait before making more requests';
+    case 500:
+    case 502:
+    case 503:
+    case 504:
+      return 'Server error: Notion API is temporarily unavailable';
+    default:
+      return `API Error (${status}): ${notionMessage || 'Unknown error occurred'}`;
+  }
+}
+
+/**
+ * Summary of the request that failed, without headers (they carry the token)
+ */
+function describeRequest(config) {
+  if (!config) {
+    return null;
+  }
+  return {
+    method: config.method?.toUpperCase() || null,
+    url: config.url || null,
+    params: config.params || null,
+    data: typeof config.data === 'string' ? safeParse(config.data) : config.data || null
+  };
+}
+
+function safeParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Build a NotionError from an axios error
+ */
+export function createNotionError(error) {
+  const request = describeRequest(error.config);
+
+  if (!error.response) {
+    if (isAbortError(error)) {
+      return new NotionAbortError('Request cancelled: The API request was aborted', {
+        code: 'aborted',
+        request,
+        cause: error
+      });
+    }
+    if (error.code === 'ERR_NETWORK' && !isBrowser()) {
+      const reason = error.cause?.code || error.message;
+      return new NotionNetworkError(`Network error: Could not reach the Notion API (${reason})`, {
+        code: 'network_error',
+        isRetryable: true,
+        suggestion: 'Check the network connection and the baseURL passed to NotionAPI.',
+        request,
+        cause: error
+      });
+    }
+    if (error.code === 'ERR_NETWORK' || error.message?.includes('CORS')) {
+      return new NotionNetworkError(
+        'CORS Error: Direct API requests from localhost are blocked. ' +
+          'Consider deploying to a hosted domain or using a proxy server.',
+        {
+          code: 'network_error',
+          suggestion: 'Run the app through the Vite dev proxy or a deployed serverless proxy.',
+          request,
+          cause: error
+        }
+      );
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.message?.includes('timeout')) {
+      return new NotionNetworkError('Request timeout: The API request took too long to complete', {
+        code: 'timeout',
+        isRetryable: true,
+        suggestion: 'Retry the request, or reduce page_size for large queries.',
+        request,
+        cause: error
+      });
+    }
+    if (error.message?.includes('ERR_CONNECTION_REFUSED')) {
+      return new NotionNetworkError('Connection refused: Unable to reach the Notion API servers', {
+        code: 'connection_refused',
+        isRetryable: true,
+        suggestion: 'Check your network connection and that the proxy server is running.',
+        request,
+        cause: error
+      });
+    }
+
+    return new NotionNetworkError(
+      `Connection error: ${error.message || 'Unable to connect to Notion API'}. ` +
+        'This may be due to CORS restrictions when running from localhost.',
+      {
+        code: 'network_error',
+        isRetryable: true,
+        suggestion: 'Check your network connection and proxy configuration.',
+        request,
+        cause: error
+      }
+    );
+  }
+
+  const { status, data, headers } = error.response;
+  const code = data?.code || STATUS_CODES[status] || (status >= 500 ? 'internal_server_error' : 'unknown_error');
+  const entry = ERROR_CATALOG[code] || {};
+  const ErrorClass = entry.ErrorClass || (status >= 500 ? NotionServerError : NotionError);
+  const retryAfter = Number(headers?.['retry-after']);
+
+  return new ErrorClass(messageForStatus(status, data?.message), {
+    status,
+    code,
+    requestId: data?.request_id || headers?.['x-request-id'] || null,
+    notionMessage: data?.message || null,
+    suggestion: entry.suggestion || null,
+    isRetryable: entry.isRetryable ?? status >= 500,
+    retryAfter: Number.isFinite(retryAfter) ? retryAfter : null,
+    request,
+    cause: error
+  });
+}
@@ -0,0 +1,221 @@
+/**
+ * Database Export
+ * Export every row of a database query as CSV, JSON Lines or Excel-compatible CSV
+ *
+ * Columns follow the database schema (title first), and people and relation values are resolved to
+ * names. CSV cells join lists with ", "; JSON Lines keeps typed values (arrays, numbers, booleans).
+ */
+
+import { NotionValidationError } from './errors.js';
+import { extractPlainText } from './richText.js';
+import { fromNotionProperty } from './properties.js';
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson;charset=utf-8' },
+  excel: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' }
+};
+
+// Property types whose values hold users
+const USER_TYPES = ['people', 'created_by', 'last_edited_by'];
+
+// Property types the query response truncates at 25 items
+const TRUNCATED_TYPES = ['relation', 'people'];
+
+/**
+ * Column names in schema order, with the title property first
+ */
+export function exportColumns(database) {
+  const names = Object.keys(database?.properties || {});
+  const title = names.find(name => database.properties[name].type === 'title');
+  return title ? [title, ...names.filter(name => name !== title)] : names;
+}
+
+/**
+ * Read a page's title from its properties
+ */
+function pageTitle(page) {
+  const title = Object.values(page?.properties || {}).find(property => property.type === 'title');
+  return extractPlainText(title?.title) || null;
+}
+
+/**
+ * Read the full item list of a property the query response truncated
+ */
+async function fullPropertyItems(api, page, property, requestOptions) {
+  const items = [];
+  for await (const item of api.iteratePageProperty(page.id, property.id, { requestOptions })) {
+    items.push(item[property.type]);
+  }
+  return { ...property, [property.type]: items, has_more: false };
+}
+
+/**
+ * Look up names for users and related pages, fetching each id at most once
+ */
+function createNameResolver(api, requestOptions) {
+  let users = null;
+  const titles = new Map();
+
+  return {
+    async userName(user) {
+      if (user.name) {
+        return user.name;
+      }
+      if (!users) {
+        users = new Map();
+        try {
+          for await (const item of api.iterateUsers({ requestOptions })) {
+            users.set(item.id, item.name);
+          }
+        } catch (error) {
+          // Without user information capabilities the ids are exported instead
+        }
+      }
+      return users.get(user.id) || user.id;
+    },
+
+    async pageTitles(ids) {
+      const unknown = [...new Set(ids)].filter(id => !titles.has(id));
+      await Promise.all(unknown.map(async id => {
+        try {
+          titles.set(id, pageTitle(await api.getPage(id, requestOptions)) || id);
+        } catch (error) {
+          // Pages the integration cannot see keep their id
+          titles.set(id, id);
+        }
+      }));
+      return ids.map(id => titles.get(id));
+    }
+  };
+}
+
+/**
+ * Read one page as { id, url, values } with names resolved
+ */
+async function exportRow(api, page, columns, resolver, requestOptions) {
+  const values = {};
+
+  for (const name of columns) {
+    let property = page.properties?.[name];
+    if (property && TRUNCATED_TYPES.includes(property.type) && property.has_more) {
+      property = await fullPropertyItems(api, page, property, requestOptions);
+    }
+
+    const value = fromNotionProperty(property);
+    if (property && USER_TYPES.includes(property.type) && value) {
+      values[name] = Array.isArray(value)
+        ? await Promise.all(value.map(user => resolver.userName(user)))
+        : await resolver.userName(value);
+    } else if (property?.type === 'relation') {
+      values[name] = await resolver.pageTitles(value);
+    } else {
+      values[name] = value;
+    }
+  }
+
+  return { id: page.id, url: page.url, values };
+}
+
+/**
+ * Flatten a typed value into the text of one CSV cell
+ */
+export function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(cellText).filter(Boolean).join(', ');
+  }
+  if (typeof value === 'object') {
+    if ('start' in value) {
+      return value.end ? `${value.start} → ${value.end}` : value.start;
+    }
+    if ('url' in value) {
+      return value.url || value.name || '';
+    }
+    if ('state' in value) {
+      return value.state;
+    }
+    return value.name ?? JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Quote a CSV cell when it contains separators, quotes, line breaks or edge whitespace
+ */
+function quoteCell(text) {
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Keep spreadsheets from evaluating cells as formulas (numbers such as -5 are left alone)
+ */
+function neutralizeFormula(text) {
+  return /^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text;
+}
+
+/**
+ * Serialize exported rows
+ * @param {Array} rows - Rows from exportDatabase ({ id, url, values })
+ * @param {Array} columns - Column names in order
+ * @param {string} format - csv, jsonl or excel (UTF-8 BOM, CRLF line endings and formula-safe cells)
+ */
+export function serializeRows(rows, columns, format = 'csv') {
+  if (format === 'jsonl') {
+    return rows.map(row => JSON.stringify({ id: row.id, url: row.url, ...row.values })).join('\n');
+  }
+
+  const excel = format === 'excel';
+  const toCell = (value) => quoteCell(excel ? neutralizeFormula(cellText(value)) : cellText(value));
+  const lines = [
+    columns.map(toCell).join(','),
+    ...rows.map(row => columns.map(name => toCell(row.values[name])).join(','))
+  ];
+  return (excel ? '\uFEFF' : '') + lines.join(excel ? '\r\n' : '\n');
+}
+
+/**
+ * Build a file name from the database title
+ */
+function exportFilename(database, format) {
+  const slug = extractPlainText(database?.title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'database'}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Export every row of a database query
+ * @param {NotionAPI} api - API instance
+ * @param {string} databaseId - Database to export
+ * @param {Object} options - { format, filter, sorts, onProgress, requestOptions }
+ *   onProgress receives { rows } after each exported row
+ * @returns {Object} { content, filename, mimeType, columns, rowCount }
+ */
+export async function exportDatabase(api, databaseId, options = {}) {
+  const { format = 'csv', filter = null, sorts = null, onProgress = null, requestOptions = {} } = options;
+  if (!EXPORT_FORMATS[format]) {
+    throw new NotionValidationError(`Unknown export format "${format}"`, {
+      code: 'validation_error',
+      suggestion: `Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  const database = await api.getDatabase(databaseId, requestOptions);
+  const columns = exportColumns(database);
+  const resolver = createNameResolver(api, requestOptions);
+  const rows = [];
+
+  for await (const page of api.iterateDatabase(databaseId, { filter, sorts, requestOptions })) {
+    rows.push(await exportRow(api, page, columns, resolver, requestOptions));
+    onProgress?.({ rows: rows.length });
+  }
+
+  return {
+    content: serializeRows(rows, columns, format),
+    filename: exportFilename(database, format),
+    mimeType: EXPORT_FORMATS[format].mimeType,
+    columns,
+    rowCount: rows.length
+  };
+}
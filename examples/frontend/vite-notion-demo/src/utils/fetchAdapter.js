@@ -0,0 +1,81 @@
+/**
+ * Fetch Adapter
+ * axios adapter that sends requests through a caller-supplied fetch (undici, node-fetch, edge runtimes)
+ */
+
+import axios, { AxiosError } from 'axios';
+
+/**
+ * Flatten axios headers into a plain object, dropping unset values
+ */
+function plainHeaders(headers) {
+  const values = typeof headers?.toJSON === 'function' ? headers.toJSON() : headers || {};
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Create an axios adapter backed by a fetch implementation
+ * Data is already serialized by axios before the adapter runs and parsed again afterwards, so the
+ * adapter only moves text; timeouts and AbortSignals abort the fetch, including a body still streaming in,
+ * and surface as axios' ECONNABORTED and CanceledError
+ * @param {Function} fetchImpl - fetch(url, init) returning a Response
+ */
+export function createFetchAdapter(fetchImpl) {
+  return async (config) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(config.signal?.reason);
+    config.signal?.addEventListener?.('abort', onAbort, { once: true });
+    let timedOut = false;
+    const timer = config.timeout
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, config.timeout)
+      : null;
+
+    try {
+      if (config.signal?.aborted) {
+        throw new axios.CanceledError(null, config);
+      }
+
+      let fetched;
+      let data;
+      try {
+        fetched = await fetchImpl(axios.getUri(config), {
+          method: config.method.toUpperCase(),
+          headers: plainHeaders(config.headers),
+          body: config.data,
+          signal: controller.signal
+        });
+        // Reading the body can still time out or be aborted
+        data = await fetched.text();
+      } catch (error) {
+        if (timedOut) {
+          throw new AxiosError(`timeout of ${config.timeout}ms exceeded`, AxiosError.ECONNABORTED, config);
+        }
+        if (config.signal?.aborted) {
+          throw new axios.CanceledError(null, config);
+        }
+        throw AxiosError.from(error, AxiosError.ERR_NETWORK, config);
+      }
+
+      const response = {
+        data,
+        status: fetched.status,
+        statusText: fetched.statusText,
+        headers: Object.fromEntries(fetched.headers.entries()),
+        config,
+        request: null
+      };
+
+      if (config.validateStatus && !config.validateStatus(response.status)) {
+        const code = response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+        throw new AxiosError(`Request failed with status code ${response.status}`, code, config, null, response);
+      }
+      return response;
+    } finally {
+      clearTimeout(timer);
+      config.signal?.removeEventListener?.('abort', onAbort);
+    }
+  };
+}
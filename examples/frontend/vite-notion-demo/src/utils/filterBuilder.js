@@ -0,0 +1,450 @@
+/**
+ * Filter Builder
+ * Fluent builder for database query filters and sorts, with validation against a database schema
+ *
+ * Example:
+ *   where('Status').select.equals('Done').and(where('Due').date.before('2024-06-01'))
+ */
+
+import { NotionValidationError } from './errors.js';
+
+/**
+ * Notion allows compound (and/or) filters nested up to two levels deep
+ */
+export const MAX_COMPOUND_DEPTH = 2;
+
+const TEXT_CONDITIONS = [
+  'equals', 'does_not_equal', 'contains', 'does_not_contain', 'starts_with', 'ends_with', 'is_empty', 'is_not_empty'
+];
+const NUMBER_CONDITIONS = [
+  'equals', 'does_not_equal', 'greater_than', 'less_than', 'greater_than_or_equal_to', 'less_than_or_equal_to',
+  'is_empty', 'is_not_empty'
+];
+const DATE_CONDITIONS = [
+  'equals', 'before', 'after', 'on_or_before', 'on_or_after', 'is_empty', 'is_not_empty',
+  'past_week', 'past_month', 'past_year', 'next_week', 'next_month', 'next_year', 'this_week'
+];
+const SELECT_CONDITIONS = ['equals', 'does_not_equal', 'is_empty', 'is_not_empty'];
+const LIST_CONDITIONS = ['contains', 'does_not_contain', 'is_empty', 'is_not_empty'];
+
+/**
+ * Conditions supported by each filter type
+ */
+export const FILTER_CONDITIONS = {
+  title: TEXT_CONDITIONS,
+  rich_text: TEXT_CONDITIONS,
+  url: TEXT_CONDITIONS,
+  email: TEXT_CONDITIONS,
+  phone_number: TEXT_CONDITIONS,
+  number: NUMBER_CONDITIONS,
+  checkbox: ['equals', 'does_not_equal'],
+  select: SELECT_CONDITIONS,
+  status: SELECT_CONDITIONS,
+  multi_select: LIST_CONDITIONS,
+  date: DATE_CONDITIONS,
+  created_time: DATE_CONDITIONS,
+  last_edited_time: DATE_CONDITIONS,
+  people: LIST_CONDITIONS,
+  created_by: LIST_CONDITIONS,
+  last_edited_by: LIST_CONDITIONS,
+  relation: LIST_CONDITIONS,
+  files: ['is_empty', 'is_not_empty'],
+  unique_id: NUMBER_CONDITIONS.filter(condition => !condition.startsWith('is_')),
+  verification: ['status']
+};
+
+/**
+ * Filter keys accepted for each database property type (defaults to the type itself)
+ */
+const COMPATIBLE_FILTERS = {
+  title: ['title', 'rich_text'],
+  rich_text: ['rich_text', 'title'],
+  created_time: ['created_time', 'date'],
+  last_edited_time: ['last_edited_time', 'date'],
+  formula: ['formula'],
+  rollup: ['rollup']
+};
+
+const FORMULA_TYPES = { string: 'rich_text', checkbox: 'checkbox', number: 'number', date: 'date' };
+const ROLLUP_VALUE_TYPES = ['rich_text', 'number', 'date', 'checkbox', 'select', 'multi_select', 'people', 'relation'];
+const EMPTY_CONDITIONS = new Set(['is_empty', 'is_not_empty']);
+const RELATIVE_DATE_CONDITIONS = new Set(DATE_CONDITIONS.filter(condition => /^(past|next|this)_/.test(condition)));
+
+/**
+ * Convert a snake_case operator to its camelCase method name
+ */
+function toCamelCase(name) {
+  return name.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Normalize the value for a condition (empty checks take true, relative dates take {})
+ */
+function conditionValue(condition, value) {
+  if (EMPTY_CONDITIONS.has(condition)) {
+    return true;
+  }
+  if (RELATIVE_DATE_CONDITIONS.has(condition)) {
+    return {};
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+}
+
+/**
+ * A single filter or a compound and/or of filters
+ */
+export class Filter {
+  constructor(kind, payload) {
+    this.kind = kind; // 'property' | 'and' | 'or'
+    this.payload = payload; // condition object, or array of child filters
+  }
+
+  /**
+   * Wrap a raw Notion filter object
+   */
+  static from(filter) {
+    if (filter instanceof Filter) {
+      return filter;
+    }
+    if (Array.isArray(filter?.and)) {
+      return new Filter('and', filter.and.map(Filter.from));
+    }
+    if (Array.isArray(filter?.or)) {
+      return new Filter('or', filter.or.map(Filter.from));
+    }
+    return new Filter('property', filter);
+  }
+
+  and(...filters) {
+    return combine('and', [this, ...filters]);
+  }
+
+  or(...filters) {
+    return combine('or', [this, ...filters]);
+  }
+
+  /**
+   * Levels of and/or nesting below and including this filter
+   */
+  depth() {
+    if (this.kind === 'property') {
+      return 0;
+    }
+    return 1 + Math.max(0, ...this.payload.map(child => child.depth()));
+  }
+
+  /**
+   * Build the Notion filter object
+   */
+  build() {
+    const depth = this.depth();
+    if (depth > MAX_COMPOUND_DEPTH) {
+      throw new NotionValidationError(
+        `Filter nests and/or ${depth} levels deep; Notion allows at most ${MAX_COMPOUND_DEPTH}`,
+        { code: 'validation_error', suggestion: 'Flatten the filter or split the query.' }
+      );
+    }
+    return this.serialize();
+  }
+
+  serialize() {
+    if (this.kind === 'property') {
+      return this.payload;
+    }
+    return { [this.kind]: this.payload.map(child => child.serialize()) };
+  }
+
+  toJSON() {
+    return this.build();
+  }
+}
+
+/**
+ * Combine filters, flattening children that use the same operator
+ */
+function combine(kind, filters) {
+  const children = [];
+  filters.map(Filter.from).forEach(filter => {
+    if (filter.kind === kind) {
+      children.push(...filter.payload);
+    } else {
+      children.push(filter);
+    }
+  });
+  return new Filter(kind, children);
+}
+
+/**
+ * Combine filters with and
+ */
+export function and(...filters) {
+  return combine('and', filters);
+}
+
+/**
+ * Combine filters with or
+ */
+export function or(...filters) {
+  return combine('or', filters);
+}
+
+/**
+ * Create condition methods for a filter type
+ * @param {string} type - Key in FILTER_CONDITIONS
+ * @param {Function} wrap - Turns a { [condition]: value } object into a Filter
+ */
+function conditionMethods(type, wrap) {
+  const allowed = FILTER_CONDITIONS[type];
+  const methods = {
+    /**
+     * Apply a condition by its Notion name, e.g. condition('does_not_equal', 'Done')
+     */
+    condition(name, value) {
+      if (!allowed.includes(name)) {
+        throw new NotionValidationError(
+          `"${name}" is not a valid ${type} filter condition`,
+          { code: 'validation_error', suggestion: `Use one of: ${allowed.join(', ')}` }
+        );
+      }
+      return wrap({ [name]: conditionValue(name, value) });
+    }
+  };
+
+  allowed.forEach(name => {
+    methods[toCamelCase(name)] = (value) => methods.condition(name, value);
+  });
+  return methods;
+}
+
+/**
+ * Add camelCase aliases (multiSelect, richText, ...) for snake_case keys
+ */
+function withAliases(builders) {
+  Object.keys(builders).forEach(key => {
+    const alias = toCamelCase(key);
+    if (alias !== key) {
+      builders[alias] = builders[key];
+    }
+  });
+  return builders;
+}
+
+/**
+ * Start a property filter
+ * @param {string} property - Property name or id
+ */
+export function where(property) {
+  const propertyFilter = (type) => (condition) => new Filter('property', { property, [type]: condition });
+  const builders = {};
+
+  Object.keys(FILTER_CONDITIONS)
+    .filter(type => type !== 'verification')
+    .forEach(type => {
+      builders[type] = conditionMethods(type, propertyFilter(type));
+    });
+
+  builders.verification = {
+    status: (status) => new Filter('property', { property, verification: { status } })
+  };
+
+  builders.formula = {};
+  Object.entries(FORMULA_TYPES).forEach(([formulaType, conditionType]) => {
+    builders.formula[formulaType] = conditionMethods(
+      conditionType,
+      (condition) => new Filter('property', { property, formula: { [formulaType]: condition } })
+    );
+  });
+
+  const rollupFilter = (rollup) => new Filter('property', { property, rollup });
+  builders.rollup = {
+    number: conditionMethods('number', (condition) => rollupFilter({ number: condition })),
+    date: conditionMethods('date', (condition) => rollupFilter({ date: condition }))
+  };
+  ['any', 'every', 'none'].forEach(quantifier => {
+    builders.rollup[quantifier] = withAliases(Object.fromEntries(ROLLUP_VALUE_TYPES.map(type => [
+      type,
+      conditionMethods(type, (condition) => rollupFilter({ [quantifier]: { [type]: condition } }))
+    ])));
+  });
+
+  return withAliases(builders);
+}
+
+/**
+ * Start a filter on the page's created_time or last_edited_time timestamp
+ */
+export function timestamp(name) {
+  if (name !== 'created_time' && name !== 'last_edited_time') {
+    throw new NotionValidationError(`Unknown timestamp "${name}"`, {
+      code: 'validation_error',
+      suggestion: 'Use created_time or last_edited_time.'
+    });
+  }
+  return conditionMethods(name, (condition) => new Filter('property', { timestamp: name, [name]: condition }));
+}
+
+/**
+ * Sort by a property
+ */
+export function sortBy(property, direction = 'ascending') {
+  return { property, direction };
+}
+
+/**
+ * Sort by created_time or last_edited_time
+ */
+export function sortByTimestamp(name, direction = 'ascending') {
+  return { timestamp: name, direction };
+}
+
+/**
+ * Build the equality filter for one property value
+ * Lists (multi_select, people, relation) must contain every given item; empty values match empty properties.
+ */
+function equalityFilter(name, property, value) {
+  const filter = where(name);
+  const empty = value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+  if (empty) {
+    if (!FILTER_CONDITIONS[property.type]?.includes('is_empty')) {
+      throw new NotionValidationError(`Property "${name}" (${property.type}) cannot be matched as empty`, {
+        code: 'validation_error'
+      });
+    }
+    return filter[property.type].isEmpty();
+  }
+
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+    case 'url':
+    case 'email':
+    case 'phone_number':
+    case 'select':
+    case 'status':
+      return filter[property.type].equals(typeof value === 'object' ? value.name : String(value));
+    case 'number':
+      return filter.number.equals(Number(value));
+    case 'checkbox':
+      return filter.checkbox.equals(value === true || value === 'true');
+    case 'date':
+    case 'created_time':
+    case 'last_edited_time':
+      return filter[property.type].equals(value?.start ?? value);
+    case 'unique_id':
+      // Prefixed ids such as TASK-12 are matched by their number
+      return filter.unique_id.equals(Number(String(value).split('-').pop()));
+    case 'multi_select':
+    case 'people':
+    case 'relation': {
+      // Options match by name; people and relations only by id (users read back also carry a name)
+      const key = property.type === 'multi_select' ? 'name' : 'id';
+      const items = (Array.isArray(value) ? value : [value]).map(item =>
+        typeof item === 'object' ? item[key] : item);
+      return and(...items.map(item => filter[property.type].contains(item)));
+    }
+    default:
+      throw new NotionValidationError(`Property "${name}" (${property.type}) cannot be matched by value`, {
+        code: 'validation_error',
+        suggestion: 'Pass a Filter built with where() for this property.'
+      });
+  }
+}
+
+/**
+ * Build a filter matching pages whose properties equal the given plain values
+ * @param {Object} criteria - { [propertyName]: value }, e.g. { Email: 'ada@example.com', Status: 'Active' }
+ * @param {Object} database - Database object from getDatabase
+ * @returns {Filter} One property filter, or an and of several
+ * @throws {NotionValidationError} For unknown properties
+ */
+export function matchCriteria(criteria, database) {
+  const entries = Object.entries(criteria || {});
+  const unknown = entries.filter(([name]) => !findProperty(database, name)).map(([name]) => name);
+  if (unknown.length > 0 || entries.length === 0) {
+    const available = Object.keys(database?.properties || {}).join(', ');
+    const message = entries.length
+      ? `Unknown properties in criteria: ${unknown.join(', ')}`
+      : 'Criteria must name at least one property';
+    throw new NotionValidationError(message, {
+      code: 'validation_error',
+      suggestion: available ? `Available properties: ${available}` : null
+    });
+  }
+
+  const filters = entries.map(([name, value]) => equalityFilter(name, findProperty(database, name), value));
+  return filters.length === 1 ? filters[0] : and(...filters);
+}
+
+/**
+ * Find a database property by name or id
+ */
+function findProperty(database, nameOrId) {
+  const properties = database?.properties || {};
+  if (properties[nameOrId]) {
+    return properties[nameOrId];
+  }
+  return Object.values(properties).find(property => property.id === nameOrId) || null;
+}
+
+/**
+ * Collect schema problems for a filter object
+ */
+function filterProblems(filter, database, problems) {
+  if (Array.isArray(filter.and) || Array.isArray(filter.or)) {
+    (filter.and || filter.or).forEach(child => filterProblems(child, database, problems));
+    return problems;
+  }
+  if (filter.timestamp) {
+    return problems;
+  }
+
+  const property = findProperty(database, filter.property);
+  if (!property) {
+    problems.push(`Unknown property "${filter.property}"`);
+    return problems;
+  }
+
+  const filterType = Object.keys(filter).find(key => key !== 'property');
+  const accepted = COMPATIBLE_FILTERS[property.type] || [property.type];
+  if (!accepted.includes(filterType)) {
+    problems.push(`Property "${filter.property}" is of type ${property.type} and cannot use a ${filterType} filter`);
+    return problems;
+  }
+
+  const condition = Object.keys(filter[filterType] || {})[0];
+  const conditions = FILTER_CONDITIONS[filterType];
+  if (conditions && !conditions.includes(condition)) {
+    problems.push(`"${condition}" is not a valid ${filterType} condition for "${filter.property}"`);
+  }
+  return problems;
+}
+
+/**
+ * Validate a filter and sorts against a database schema from getDatabase
+ * @throws {NotionValidationError} Listing every problem found
+ */
+export function validateQuery(database, { filter = null, sorts = null } = {}) {
+  const problems = [];
+
+  if (filter) {
+    filterProblems(Filter.from(filter).build(), database, problems);
+  }
+
+  (sorts || []).forEach(sort => {
+    if (sort.property && !findProperty(database, sort.property)) {
+      problems.push(`Cannot sort by unknown property "${sort.property}"`);
+    }
+  });
+
+  if (problems.length > 0) {
+    const available = Object.keys(database?.properties || {}).join(', ');
+    throw new NotionValidationError(`Invalid query: ${problems.join('; ')}`, {
+      code: 'validation_error',
+      suggestion: available ? `Available properties: ${available}` : null
+    });
+  }
+}
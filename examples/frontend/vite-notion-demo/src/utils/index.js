@@ -0,0 +1,29 @@
+/**
+ * Notion Client
+ * Package entry point: the NotionAPI client and its helpers, without the demo UI
+ *
+ * Works in Node 18+ as well as the browser; outside the browser the client calls api.notion.com directly:
+ *   import { NotionAPI, where } from 'vite-notion-demo';
+ *   const notion = new NotionAPI({ token: process.env.NOTION_TOKEN });
+ */
+
+export * from './api.js';
+export * from './environment.js';
+export * from './fetchAdapter.js';
+export * from './errors.js';
+export * from './rateLimiter.js';
+export * from './richText.js';
+export * from './properties.js';
+export * from './filterBuilder.js';
+export * from './plugins.js';
+export * from './cache.js';
+export * from './concurrency.js';
+export * from './journal.js';
+export * from './blocks.js';
+export * from './markdown.js';
+export * from './renderer.js';
+export * from './templates.js';
+export * from './schema.js';
+export * from './export.js';
+export * from './csvImport.js';
+export * from './sync.js';
@@ -0,0 +1,277 @@
+/**
+ * Operation Journal
+ * Record the writes of a multi-step workflow and undo them when a later step fails
+ *
+ * Every successful write made through the journal's scope becomes an entry with the compensation that
+ * undoes it: created pages and databases are archived, appended blocks are deleted, deleted blocks are
+ * restored, and page properties and block content are written back from snapshots taken just before the
+ * update. Writes Notion cannot undo (comments, database schema changes) are kept as manual entries, and
+ * properties that cannot be written back (uploaded files) are listed in the entry's unrestorable.
+ * Entry status is pending, compensated, partial (compensated except its unrestorable properties), failed or
+ * manual; the journal serializes to JSON for auditing.
+ *
+ * Example:
+ *   await api.transaction(async (tx) => {
+ *     const database = await tx.createDatabase(parentId, 'Tasks', schema);
+ *     await tx.createPage({ database_id: database.id }, properties);
+ *   });
+ */
+
+import { toWritableBlock } from './blocks.js';
+import { isReadRequest } from './plugins.js';
+import { toWritableProperties } from './properties.js';
+
+/**
+ * Split a request URL into its resource, id and sub-resource: /blocks/:id/children
+ */
+function parseUrl(url) {
+  const [, resource, id = null, child = null] = url.split('/');
+  return { resource, id, child };
+}
+
+/**
+ * Names of the page properties an update writes; properties may be named by name or id in the update
+ */
+function propertyNames(page, keys) {
+  const properties = page.properties || {};
+  return keys.map(key => (properties[key] ? key : Object.keys(properties).find(name => {
+    return properties[name].id === key;
+  }))).filter(Boolean);
+}
+
+/**
+ * Read the full item lists of the properties a page response truncated (relations and people past 25)
+ */
+async function completeProperties(api, page, keys, requestOptions) {
+  const properties = { ...page.properties };
+  for (const name of propertyNames(page, keys).filter(name => properties[name].has_more)) {
+    const property = properties[name];
+    const items = [];
+    for await (const item of api.iteratePageProperty(page.id, property.id, { requestOptions })) {
+      items.push(item[property.type]);
+    }
+    properties[name] = { ...property, [property.type]: items, has_more: false };
+  }
+  return { ...page, properties };
+}
+
+/**
+ * Copy the properties an update writes from a page snapshot, as values Notion accepts on write
+ * @returns {Object} { properties, skipped } as toWritableProperties returns them
+ */
+function snapshotProperties(page, keys) {
+  const properties = page.properties || {};
+  const names = propertyNames(page, keys);
+  const subset = { properties: Object.fromEntries(names.map(name => [name, properties[name]])) };
+  const schema = {
+    properties: Object.fromEntries(names.map(name => [name, { type: properties[name].type }]))
+  };
+  return toWritableProperties(subset, schema);
+}
+
+/**
+ * OperationJournal class that records writes and rolls them back
+ */
+export class OperationJournal {
+  /**
+   * @param {NotionAPI} api - Client used for snapshots and compensations (outside the journal's scope)
+   * @param {Object} options - { name }
+   */
+  constructor(api, options = {}) {
+    this.api = api;
+    this.id = `journal-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.name = options.name || null;
+    this.status = 'open';
+    this.startedAt = new Date().toISOString();
+    this.finishedAt = null;
+    this.entries = [];
+  }
+
+  /**
+   * Plugin that journals the writes made with { journal: this } in their request options
+   */
+  plugin() {
+    const owns = (context) => context.requestOptions.journal === this && !isReadRequest(context);
+
+    return {
+      name: 'journal',
+
+      beforeRequest: async (context) => {
+        if (owns(context)) {
+          context.state.journalSnapshot = await this.snapshot(context);
+        }
+      },
+
+      afterResponse: (context, data) => {
+        if (owns(context) && !context.shortCircuited) {
+          this.record(context, data);
+        }
+      }
+    };
+  }
+
+  /**
+   * Read what an update is about to overwrite
+   * @returns {Promise<Object|null>} Page or block as it is before the write
+   */
+  async snapshot(context) {
+    const { resource, id, child } = parseUrl(context.url);
+    const { retry, signal, timeout } = context.requestOptions;
+    const readOptions = { cache: false, retry, signal, timeout };
+
+    if (context.method === 'PATCH' && resource === 'pages' && !child) {
+      const page = await this.api.getPage(id, readOptions);
+      return completeProperties(this.api, page, Object.keys(context.config.data?.properties || {}), readOptions);
+    }
+    if ((context.method === 'PATCH' || context.method === 'DELETE') && resource === 'blocks' && !child) {
+      return this.api.getBlock(id, readOptions);
+    }
+    return null;
+  }
+
+  /**
+   * Add an entry for a successful write, with the compensation that undoes it
+   */
+  record(context, data) {
+    const { resource, id, child } = parseUrl(context.url);
+    const request = context.config.data ?? null;
+    const snapshot = context.state.journalSnapshot ?? null;
+    let action = 'other';
+    let compensation = null;
+    let unrestorable = [];
+
+    if (context.method === 'POST' && resource === 'pages') {
+      action = 'create_page';
+      compensation = { action: 'archive_page', pageId: data.id };
+    } else if (context.method === 'POST' && resource === 'databases' && !id) {
+      action = 'create_database';
+      compensation = { action: 'delete_block', blockId: data.id };
+    } else if (context.method === 'PATCH' && resource === 'blocks' && child === 'children') {
+      action = 'append_blocks';
+      compensation = { action: 'delete_blocks', blockIds: (data.results || []).map(block => block.id) };
+    } else if (context.method === 'PATCH' && resource === 'pages') {
+      action = 'update_page';
+      const archivedChanged = request?.archived !== undefined && request.archived !== snapshot.archived;
+      const { properties, skipped } = snapshotProperties(snapshot, Object.keys(request?.properties || {}));
+      const archived = archivedChanged ? snapshot.archived : null;
+      unrestorable = skipped;
+      if (Object.keys(properties).length > 0 || archived !== null) {
+        compensation = { action: 'restore_page', pageId: id, properties, archived };
+      }
+    } else if (context.method === 'PATCH' && resource === 'blocks') {
+      action = 'update_block';
+      // Child pages, databases and uploaded files cannot be written back
+      const { block } = toWritableBlock(snapshot);
+      if (block) {
+        compensation = { action: 'restore_block', blockId: id, content: { [block.type]: block[block.type] } };
+      }
+    } else if (context.method === 'DELETE' && resource === 'blocks') {
+      action = snapshot?.type === 'child_page' ? 'archive_page' : 'delete_block';
+      compensation = { action: 'unarchive_block', blockId: id };
+    } else if (resource === 'databases' && id) {
+      action = 'update_database';
+    } else if (resource === 'comments') {
+      action = 'create_comment';
+    }
+
+    this.entries.push({
+      seq: this.entries.length + 1,
+      at: new Date().toISOString(),
+      method: context.method,
+      url: context.url,
+      action,
+      resourceId: data?.id ?? id,
+      request,
+      compensation,
+      unrestorable,
+      status: compensation ? 'pending' : 'manual',
+      error: null
+    });
+  }
+
+  /**
+   * Run one compensation
+   */
+  async compensate(compensation) {
+    const options = { retry: { maxAttempts: 5 } };
+
+    switch (compensation.action) {
+      case 'archive_page':
+        return this.api.archivePage(compensation.pageId, options);
+      case 'delete_block':
+        return this.api.deleteBlock(compensation.blockId, options);
+      case 'delete_blocks':
+        // Track deleted blocks, so a later rollback retries only the rest
+        compensation.deleted = compensation.deleted || [];
+        for (const blockId of compensation.blockIds.filter(id => !compensation.deleted.includes(id))) {
+          await this.api.deleteBlock(blockId, options);
+          compensation.deleted.push(blockId);
+        }
+        return null;
+      case 'restore_page':
+        return this.api.updatePage(compensation.pageId, compensation.properties, compensation.archived, options);
+      case 'restore_block':
+        return this.api.updateBlock(compensation.blockId, compensation.content, options);
+      case 'unarchive_block':
+        return this.api.updateBlock(compensation.blockId, { archived: false }, options);
+      default:
+        throw new Error(`Unknown compensation "${compensation.action}"`);
+    }
+  }
+
+  /**
+   * Undo the journaled writes, newest first
+   * A compensation that fails is marked failed and the rollback moves on to the next entry; calling
+   * rollback again retries the failed ones
+   * @returns {Promise<Object>} { compensated, partial, failed, manual } entry counts
+   */
+  async rollback() {
+    for (const entry of [...this.entries].reverse()) {
+      if (entry.status !== 'pending' && entry.status !== 'failed') {
+        continue;
+      }
+      try {
+        await this.compensate(entry.compensation);
+        entry.status = entry.unrestorable.length > 0 ? 'partial' : 'compensated';
+        entry.error = null;
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+      }
+    }
+
+    const count = (status) => this.entries.filter(entry => entry.status === status).length;
+    const report = {
+      compensated: count('compensated'),
+      partial: count('partial'),
+      failed: count('failed'),
+      manual: count('manual')
+    };
+    this.status = report.failed ? 'rollback_failed' : 'rolled_back';
+    this.finishedAt = new Date().toISOString();
+    return report;
+  }
+
+  /**
+   * Close the journal after the workflow succeeded; its entries stay for auditing
+   */
+  commit() {
+    this.status = 'committed';
+    this.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * Plain object for auditing: { id, name, status, startedAt, finishedAt, entries }
+   */
+  toJSON() {
+    const { id, name, status, startedAt, finishedAt, entries } = this;
+    return { id, name, status, startedAt, finishedAt, entries: entries.map(entry => ({ ...entry })) };
+  }
+
+  /**
+   * Serialize the journal as JSON
+   */
+  export() {
+    return JSON.stringify(this, null, 2);
+  }
+}
@@ -0,0 +1,512 @@
+/**
+ * Markdown Converter
+ * Converts GitHub-flavored Markdown into Notion blocks using the block and rich text builders
+ */
+
+import {
+  EXTERNAL_URL,
+  LIMITS,
+  createBulletedListBlock,
+  createCodeBlock,
+  createDividerBlock,
+  createEquationBlock,
+  createHeadingBlock,
+  createImageBlock,
+  createNumberedListBlock,
+  createParagraphBlock,
+  createQuoteBlock,
+  createTableBlock,
+  createToDoBlock
+} from './blocks.js';
+import { chunkText } from './richText.js';
+
+/**
+ * Fence info strings mapped to Notion code block languages
+ */
+export const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  node: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  python3: 'python',
+  rb: 'ruby',
+  sh: 'shell',
+  zsh: 'shell',
+  console: 'shell',
+  ps1: 'powershell',
+  yml: 'yaml',
+  md: 'markdown',
+  cpp: 'c++',
+  cc: 'c++',
+  hpp: 'c++',
+  cs: 'c#',
+  csharp: 'c#',
+  fs: 'f#',
+  fsharp: 'f#',
+  kt: 'kotlin',
+  rs: 'rust',
+  golang: 'go',
+  hs: 'haskell',
+  ex: 'elixir',
+  exs: 'elixir',
+  erl: 'erlang',
+  ml: 'ocaml',
+  jl: 'julia',
+  gql: 'graphql',
+  proto: 'protobuf',
+  tex: 'latex',
+  objc: 'objective-c',
+  vb: 'visual basic',
+  dockerfile: 'docker',
+  make: 'makefile',
+  htm: 'html',
+  svg: 'xml',
+  text: 'plain text',
+  txt: 'plain text',
+  plaintext: 'plain text'
+};
+
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE = /^\s*(```+|~~~+)\s*([^\s`]*)/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const IMAGE_LINE = /^\s*!\[([^\]]*)\]\(\s*(\S+?)(?:\s+"([^"]*)")?\s*\)\s*$/;
+const QUOTE = /^\s{0,3}>\s?/;
+
+/**
+ * Map a fence info string to a Notion code language
+ */
+export function mapCodeLanguage(info) {
+  const language = String(info || '').toLowerCase();
+  return LANGUAGE_ALIASES[language] || language || 'plain text';
+}
+
+// ============================================================================
+// INLINE PARSING
+// ============================================================================
+
+/**
+ * Find the closing delimiter for an inline span, skipping escaped characters
+ */
+function findClosing(text, delimiter, from) {
+  for (let index = from; index <= text.length - delimiter.length; index++) {
+    if (text[index] === '\\') {
+      index++;
+      continue;
+    }
+    if (text.startsWith(delimiter, index)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse inline Markdown into segments of { content, annotations, link }
+ */
+function parseInlineSegments(text, annotations = {}, link = null) {
+  const segments = [];
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer) {
+      segments.push({ content: buffer, annotations, link });
+      buffer = '';
+    }
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    const rest = text.slice(index);
+
+    // Escaped character
+    if (char === '\\' && index + 1 < text.length && /[\\`*_{}[\]()#+\-.!~|>]/.test(text[index + 1])) {
+      buffer += text[index + 1];
+      index += 2;
+      continue;
+    }
+
+    // Inline code
+    if (char === '`') {
+      const ticks = rest.match(/^`+/)[0];
+      const end = text.indexOf(ticks, index + ticks.length);
+      if (end !== -1) {
+        flush();
+        segments.push({
+          content: text.slice(index + ticks.length, end).trim() || ' ',
+          annotations: { ...annotations, code: true },
+          link
+        });
+        index = end + ticks.length;
+        continue;
+      }
+    }
+
+    // Links and inline images (rendered as links, Notion has no inline images)
+    const linkMatch = rest.match(/^!?\[((?:\\.|[^\]])*)\]\(\s*(\S+?)(?:\s+"[^"]*")?\s*\)/);
+    if (linkMatch) {
+      flush();
+      const label = linkMatch[1] || linkMatch[2];
+      segments.push(...parseInlineSegments(label, annotations, linkMatch[2]));
+      index += linkMatch[0].length;
+      continue;
+    }
+
+    // Autolinks
+    const autolink = rest.match(/^<(https?:\/\/[^>\s]+)>/);
+    if (autolink) {
+      flush();
+      segments.push({ content: autolink[1], annotations, link: autolink[1] });
+      index += autolink[0].length;
+      continue;
+    }
+
+    // Bold, strikethrough, italic
+    const spans = [
+      ['**', 'bold'],
+      ['__', 'bold'],
+      ['~~', 'strikethrough'],
+      ['*', 'italic'],
+      ['_', 'italic']
+    ];
+    const span = spans.find(([delimiter]) => rest.startsWith(delimiter));
+    if (span) {
+      const [delimiter, annotation] = span;
+      const intraword = delimiter[0] === '_' && /\w/.test(text[index - 1] || '');
+      const end = intraword ? -1 : findClosing(text, delimiter, index + delimiter.length);
+      if (end > index + delimiter.length) {
+        flush();
+        segments.push(...parseInlineSegments(
+          text.slice(index + delimiter.length, end),
+          { ...annotations, [annotation]: true },
+          link
+        ));
+        index = end + delimiter.length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    index++;
+  }
+
+  flush();
+  return segments;
+}
+
+/**
+ * Convert inline Markdown to a Notion rich text array
+ */
+export function parseInline(text) {
+  const segments = parseInlineSegments(text);
+
+  // Merge neighbours with identical formatting
+  const merged = [];
+  segments.forEach(segment => {
+    const previous = merged[merged.length - 1];
+    if (
+      previous &&
+      previous.link === segment.link &&
+      JSON.stringify(previous.annotations) === JSON.stringify(segment.annotations)
+    ) {
+      previous.content += segment.content;
+    } else {
+      merged.push({ ...segment });
+    }
+  });
+
+  return merged.flatMap(segment => chunkText(segment.content).map(content => ({
+    type: 'text',
+    text: { content, link: segment.link ? { url: segment.link } : null },
+    annotations: {
+      bold: !!segment.annotations.bold,
+      italic: !!segment.annotations.italic,
+      strikethrough: !!segment.annotations.strikethrough,
+      underline: false,
+      code: !!segment.annotations.code,
+      color: 'default'
+    }
+  })));
+}
+
+// ============================================================================
+// BLOCK PARSING
+// ============================================================================
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+function isBlank(line) {
+  return line.trim() === '';
+}
+
+/**
+ * Remove the common indentation from a group of lines
+ */
+function dedent(lines) {
+  const indents = lines.filter(line => !isBlank(line)).map(indentOf);
+  const min = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(Math.min(min, indentOf(line))));
+}
+
+/**
+ * Check whether a line starts a block other than a paragraph
+ */
+function startsBlock(line, nextLine) {
+  return FENCE.test(line) ||
+    HEADING.test(line) ||
+    RULE.test(line) ||
+    QUOTE.test(line) ||
+    LIST_ITEM.test(line) ||
+    IMAGE_LINE.test(line) ||
+    line.trim() === '$$' ||
+    (line.includes('|') && nextLine !== undefined && TABLE_DIVIDER.test(nextLine) && nextLine.includes('-'));
+}
+
+/**
+ * Split a table row into cell strings
+ */
+function splitTableRow(line) {
+  const trimmed = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+  const cells = [];
+  let cell = '';
+  for (let index = 0; index < trimmed.length; index++) {
+    if (trimmed[index] === '\\' && trimmed[index + 1] === '|') {
+      cell += '|';
+      index++;
+    } else if (trimmed[index] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += trimmed[index];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Parse a list starting at lines[start]; returns [blocks, nextIndex]
+ */
+function parseList(lines, start) {
+  const blocks = [];
+  const baseIndent = indentOf(lines[start]);
+  let index = start;
+
+  while (index < lines.length) {
+    const match = lines[index].match(LIST_ITEM);
+    if (!match || match[1].length < baseIndent || match[1].length > baseIndent + 1) {
+      break;
+    }
+
+    const ordered = /\d/.test(match[2]);
+    let text = match[3];
+    const childLines = [];
+    index++;
+
+    while (index < lines.length) {
+      const line = lines[index];
+      if (isBlank(line)) {
+        const next = lines.slice(index + 1).find(candidate => !isBlank(candidate));
+        if (next !== undefined && indentOf(next) > baseIndent) {
+          childLines.push('');
+          index++;
+          continue;
+        }
+        break;
+      }
+      if (indentOf(line) <= baseIndent) {
+        // Lazy continuation of the item text
+        if (childLines.length === 0 && !startsBlock(line, lines[index + 1])) {
+          text += ` ${line.trim()}`;
+          index++;
+          continue;
+        }
+        break;
+      }
+      childLines.push(line);
+      index++;
+    }
+
+    // Indented lines directly after the item text continue it
+    const children = dedent(childLines);
+    while (children.length > 0 && !isBlank(children[0]) && !startsBlock(children[0], children[1])) {
+      text += ` ${children.shift().trim()}`;
+    }
+
+    const childBlocks = parseBlocks(children);
+    const options = childBlocks.length > 0 ? { children: childBlocks } : {};
+    const task = text.match(/^\[([ xX])\]\s+(.*)$/);
+
+    if (task) {
+      blocks.push(createToDoBlock(parseInline(task[2]), task[1] !== ' ', options));
+    } else if (ordered) {
+      blocks.push(createNumberedListBlock(parseInline(text), options));
+    } else {
+      blocks.push(createBulletedListBlock(parseInline(text), options));
+    }
+
+    // A blank line between items does not end the list
+    if (index < lines.length && isBlank(lines[index])) {
+      const nextIndex = lines.findIndex((line, position) => position > index && !isBlank(line));
+      if (nextIndex !== -1 && LIST_ITEM.test(lines[nextIndex]) && indentOf(lines[nextIndex]) === baseIndent) {
+        index = nextIndex;
+      }
+    }
+  }
+
+  return [blocks, index];
+}
+
+/**
+ * Build paragraphs from a rich text array, starting a new paragraph every LIMITS.richTextItems segments
+ */
+function paragraphBlocks(richText) {
+  const blocks = [];
+  for (let start = 0; start < richText.length; start += LIMITS.richTextItems) {
+    blocks.push(createParagraphBlock(richText.slice(start, start + LIMITS.richTextItems)));
+  }
+  return blocks;
+}
+
+/**
+ * Parse Markdown lines into Notion blocks
+ */
+function parseBlocks(lines) {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (isBlank(line)) {
+      index++;
+      continue;
+    }
+
+    // Code fence
+    const fence = line.match(FENCE);
+    if (fence) {
+      const closing = new RegExp(`^\\s*${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+      const fenceIndent = indentOf(line);
+      const code = [];
+      index++;
+      while (index < lines.length && !closing.test(lines[index])) {
+        code.push(lines[index].slice(Math.min(fenceIndent, indentOf(lines[index]))));
+        index++;
+      }
+      index++;
+      blocks.push(createCodeBlock(code.join('\n'), mapCodeLanguage(fence[2])));
+      continue;
+    }
+
+    // Block equation
+    if (line.trim() === '$$') {
+      const expression = [];
+      index++;
+      while (index < lines.length && lines[index].trim() !== '$$') {
+        expression.push(lines[index]);
+        index++;
+      }
+      index++;
+      blocks.push(createEquationBlock(expression.join('\n').trim()));
+      continue;
+    }
+
+    // Heading
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push(createHeadingBlock(parseInline(heading[2]), Math.min(heading[1].length, 3)));
+      index++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (RULE.test(line)) {
+      blocks.push(createDividerBlock());
+      index++;
+      continue;
+    }
+
+    // Table
+    if (line.includes('|') && index + 1 < lines.length && TABLE_DIVIDER.test(lines[index + 1])) {
+      const rows = [splitTableRow(line)];
+      index += 2;
+      while (index < lines.length && !isBlank(lines[index]) && lines[index].includes('|')) {
+        rows.push(splitTableRow(lines[index]));
+        index++;
+      }
+      blocks.push(createTableBlock(rows.map(row => row.map(parseInline)), { hasColumnHeader: true }));
+      continue;
+    }
+
+    // Block quote
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length && QUOTE.test(lines[index])) {
+        quoted.push(lines[index].replace(QUOTE, ''));
+        index++;
+      }
+      const inner = parseBlocks(quoted);
+      const [first, ...rest] = inner;
+      if (first?.type === 'paragraph') {
+        blocks.push(createQuoteBlock(first.paragraph.rich_text, rest.length > 0 ? { children: rest } : {}));
+      } else {
+        blocks.push(createQuoteBlock([], inner.length > 0 ? { children: inner } : {}));
+      }
+      continue;
+    }
+
+    // Image on its own line; Notion only embeds http(s) images, so others keep just their text
+    const image = line.match(IMAGE_LINE);
+    if (image) {
+      const caption = image[1] || image[3];
+      if (EXTERNAL_URL.test(image[2])) {
+        blocks.push(createImageBlock(image[2], caption ? { caption } : {}));
+      } else if (caption) {
+        blocks.push(...paragraphBlocks(parseInline(caption)));
+      }
+      index++;
+      continue;
+    }
+
+    // List
+    if (LIST_ITEM.test(line)) {
+      const [listBlocks, nextIndex] = parseList(lines, index);
+      blocks.push(...listBlocks);
+      index = nextIndex;
+      continue;
+    }
+
+    // Paragraph: consecutive lines until a blank line or another block
+    const paragraph = [line.trim()];
+    index++;
+    while (index < lines.length && !isBlank(lines[index]) && !startsBlock(lines[index], lines[index + 1])) {
+      paragraph.push(lines[index].trim());
+      index++;
+    }
+    blocks.push(...paragraphBlocks(parseInline(paragraph.join(' '))));
+  }
+
+  return blocks;
+}
+
+/**
+ * Convert a Markdown document to an array of Notion blocks
+ * @param {string} markdown - GitHub-flavored Markdown
+ * @returns {Array} Blocks ready for createPage or appendBlockChildren
+ */
+export function markdownToBlocks(markdown) {
+  const lines = String(markdown ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, '    ')
+    .split('\n');
+  return parseBlocks(lines);
+}
@@ -0,0 +1,207 @@
+/**
+ * Request Plugins
+ * Opt-in middleware for NotionAPI: logging, metrics and redaction
+ *
+ * A plugin is an object with any of these hooks, installed with api.use(plugin):
+ *   beforeRequest(context)        - once per call; returning a value skips the request (and the remaining
+ *                                   beforeRequest hooks) and uses it as the response
+ *   afterResponse(context, data)  - returning a value replaces the response data for the next hooks and the caller
+ *   onError(context, error)       - after retries are exhausted; returning a value recovers (the first value
+ *                                   wins, later hooks still see the error), throwing replaces the error
+ *   onRetry(context, { attempt, delay, error }) - before waiting for the next attempt
+ *   redact(value)                 - masks values other plugins log through context.redact
+ * context is { method, url, config, requestOptions, policy, attempt, status, startedAt, duration,
+ * shortCircuited, redact, state }; config is the axios request config, so beforeRequest can change headers,
+ * params or data, and state is scratch space shared by the hooks of one call.
+ * beforeRequest and onRetry run in install order, afterResponse and onError in reverse order.
+ */
+
+import { isAbortError } from './errors.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Notion ids, with or without dashes
+export const ID_PATTERN = /[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}/gi;
+
+// POST endpoints that only read
+const READ_ONLY_POST = /^\/search$|^\/databases\/[^/]+\/query$/;
+
+/**
+ * Check whether a request only reads: GET, database queries and search
+ */
+export function isReadRequest(context) {
+  return context.method === 'GET' || (context.method === 'POST' && READ_ONLY_POST.test(context.url));
+}
+
+/**
+ * Group URLs by endpoint: GET /pages/:id instead of one entry per page
+ */
+export function endpointKey(context) {
+  return `${context.method} ${(context.url || '').replace(ID_PATTERN, ':id')}`;
+}
+
+/**
+ * Log requests, responses, retries and failures
+ * info logs one line per request and response (the demo's console output), debug adds params, bodies and
+ * timings, warn keeps only retries and error only failures
+ * @param {Object} options - { logger, level } (defaults to console and 'info')
+ */
+export function createLoggingPlugin(options = {}) {
+  const { logger = console, level = 'info' } = options;
+  const threshold = LOG_LEVELS.indexOf(level);
+  const enabled = (name) => threshold !== -1 && LOG_LEVELS.indexOf(name) >= threshold;
+
+  return {
+    name: 'logging',
+
+    beforeRequest(context) {
+      if (enabled('info')) {
+        logger.info(`🔄 API Request: ${context.method} ${context.url}`);
+      }
+      if (enabled('debug') && (context.config.params || context.config.data)) {
+        logger.debug('   ', context.redact({ params: context.config.params, data: context.config.data }));
+      }
+    },
+
+    afterResponse(context) {
+      if (enabled('info')) {
+        const source = context.shortCircuited ? 'served by plugin' : context.status;
+        logger.info(`✅ API Response: ${source} ${context.url}`);
+      }
+      if (enabled('debug')) {
+        logger.debug(`   ${context.duration}ms, ${context.attempt} attempt(s)`);
+      }
+    },
+
+    onRetry(context, { attempt, delay, error }) {
+      if (enabled('warn')) {
+        const reason = error.status || error.code;
+        logger.warn(`⚠️ Retrying request (${attempt}/${context.policy.maxAttempts}) after ${delay}ms... (${reason})`);
+      }
+    },
+
+    onError(context, error) {
+      // Cancelled requests are expected (tab switches, superseded searches)
+      if (isAbortError(error)) {
+        if (enabled('debug')) {
+          logger.debug(`⏹️ API Request cancelled: ${context.method} ${context.url}`);
+        }
+        return;
+      }
+      if (enabled('error')) {
+        logger.error(`❌ Response Error: ${error.status || error.code} ${context.url}`, error.message);
+      }
+    }
+  };
+}
+
+/**
+ * Count requests, failures and retries, with timings per endpoint
+ * Read the counters with plugin.snapshot() and clear them with plugin.reset()
+ */
+export function createMetricsPlugin() {
+  let metrics;
+
+  const reset = () => {
+    metrics = { requests: 0, succeeded: 0, failed: 0, retries: 0, shortCircuited: 0, byStatus: {}, byEndpoint: {} };
+  };
+  reset();
+
+  const record = (context, failed) => {
+    metrics.requests++;
+    const key = endpointKey(context);
+    const endpoint = metrics.byEndpoint[key] || { count: 0, errors: 0, totalDuration: 0, maxDuration: 0 };
+    endpoint.count++;
+    endpoint.errors += failed ? 1 : 0;
+    endpoint.totalDuration += context.duration;
+    endpoint.maxDuration = Math.max(endpoint.maxDuration, context.duration);
+    metrics.byEndpoint[key] = endpoint;
+
+    if (context.status) {
+      metrics.byStatus[context.status] = (metrics.byStatus[context.status] || 0) + 1;
+    }
+  };
+
+  return {
+    name: 'metrics',
+
+    afterResponse(context) {
+      metrics.succeeded++;
+      metrics.shortCircuited += context.shortCircuited ? 1 : 0;
+      record(context, false);
+    },
+
+    onRetry() {
+      metrics.retries++;
+    },
+
+    onError(context, error) {
+      if (isAbortError(error)) {
+        return;
+      }
+      metrics.failed++;
+      record(context, true);
+    },
+
+    /**
+     * Copy of the counters, with the average duration of every endpoint
+     */
+    snapshot() {
+      const byEndpoint = Object.fromEntries(Object.entries(metrics.byEndpoint).map(([key, endpoint]) => [
+        key,
+        { ...endpoint, averageDuration: Math.round(endpoint.totalDuration / endpoint.count) }
+      ]));
+      return { ...metrics, byStatus: { ...metrics.byStatus }, byEndpoint };
+    },
+
+    reset
+  };
+}
+
+/**
+ * Replace the values of matching keys anywhere in a value
+ */
+function redactValue(value, keys, replacement) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, keys, replacement));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      keys.has(key.toLowerCase()) ? replacement : redactValue(item, keys, replacement)
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Keep personal data and credentials out of logs and errors
+ * Values under the given keys (matched case-insensitively at any depth, so property names work too) are
+ * replaced in what other plugins log through context.redact and in error.request; the Authorization
+ * header is removed from the axios error kept as error.cause.
+ * @param {Object} options - { keys, replacement } (defaults to email and phone_number values)
+ */
+export function createRedactionPlugin(options = {}) {
+  const { keys = ['email', 'phone_number'], replacement = '[REDACTED]' } = options;
+  const keySet = new Set(keys.map(key => key.toLowerCase()));
+
+  return {
+    name: 'redaction',
+
+    redact(value) {
+      return redactValue(value, keySet, replacement);
+    },
+
+    onError(context, error) {
+      if (error.request) {
+        error.request = this.redact(error.request);
+      }
+      const headers = error.cause?.config?.headers;
+      if (typeof headers?.delete === 'function') {
+        headers.delete('Authorization');
+      } else if (headers) {
+        delete headers.Authorization;
+      }
+    }
+  };
+}
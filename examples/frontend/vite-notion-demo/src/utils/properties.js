@@ -0,0 +1,349 @@
+/**
+ * Property Converters
+ * Convert between plain JavaScript values and Notion page property values
+ */
+
+import { NotionValidationError } from './errors.js';
+import { extractPlainText, toRichText, toWritableRichText } from './richText.js';
+
+/**
+ * Property types computed by Notion that cannot be written through the API
+ */
+export const READ_ONLY_PROPERTY_TYPES = [
+  'formula', 'rollup', 'created_time', 'created_by', 'last_edited_time', 'last_edited_by', 'unique_id',
+  'verification', 'button'
+];
+
+/**
+ * Format a date as a local date-time string in a time zone (no offset), as Notion expects alongside time_zone
+ */
+function formatInTimeZone(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Normalize a date boundary (Date or ISO string)
+ */
+function toDateString(value, timeZone) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return timeZone ? formatInTimeZone(value, timeZone) : value.toISOString();
+  }
+  return String(value);
+}
+
+/**
+ * Build a Notion date object from a Date, ISO string or { start, end, timeZone }
+ */
+export function toNotionDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value instanceof Date || typeof value === 'string') {
+    return { start: toDateString(value), end: null, time_zone: null };
+  }
+
+  const timeZone = value.timeZone ?? value.time_zone ?? null;
+  return {
+    start: toDateString(value.start, timeZone),
+    end: toDateString(value.end, timeZone),
+    time_zone: timeZone
+  };
+}
+
+/**
+ * Read a Notion date object as { start, end, timeZone }
+ */
+export function fromNotionDate(date) {
+  if (!date) {
+    return null;
+  }
+  return {
+    start: date.start,
+    end: date.end ?? null,
+    timeZone: date.time_zone ?? null
+  };
+}
+
+/**
+ * Normalize a list value (single values become one-item lists)
+ */
+function toList(value) {
+  if (value === null || value === undefined || value === '') {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && value.includes(',')) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return [value];
+}
+
+/**
+ * Normalize a select option given as a name or an option object
+ */
+function toOption(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return value.id ? { id: value.id } : { name: value.name };
+  }
+  return { name: String(value) };
+}
+
+/**
+ * Convert a plain value to a Notion property value for the given type
+ * @param {string} type - Property type from the database schema (title, select, date, ...)
+ * @param {*} value - Plain JavaScript value
+ * @returns {Object} Property value, e.g. { select: { name: 'Done' } }
+ */
+export function toNotionProperty(type, value) {
+  switch (type) {
+    case 'title':
+    case 'rich_text':
+      return { [type]: toRichText(value) };
+    case 'number': {
+      if (value === null || value === undefined || value === '') {
+        return { number: null };
+      }
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        throw new NotionValidationError(`"${value}" is not a number`, { code: 'validation_error' });
+      }
+      return { number };
+    }
+    case 'checkbox':
+      if (typeof value === 'string') {
+        return { checkbox: ['true', 'yes', '1', '✓'].includes(value.trim().toLowerCase()) };
+      }
+      return { checkbox: !!value };
+    case 'select':
+    case 'status':
+      return { [type]: toOption(value) };
+    case 'multi_select':
+      return { multi_select: toList(value).map(toOption) };
+    case 'date':
+      return { date: toNotionDate(value) };
+    case 'url':
+    case 'email':
+    case 'phone_number':
+      return { [type]: value === '' || value === undefined ? null : value };
+    case 'people':
+      return {
+        people: toList(value).map(person => ({ object: 'user', id: typeof person === 'object' ? person.id : person }))
+      };
+    case 'relation':
+      return { relation: toList(value).map(page => ({ id: typeof page === 'object' ? page.id : page })) };
+    case 'files':
+      return {
+        files: toList(value).map(file => {
+          const url = typeof file === 'object' ? file.url : file;
+          const name = (typeof file === 'object' && file.name) || url.split('/').pop().split('?')[0] || url;
+          return { name: name.slice(0, 100), type: 'external', external: { url } };
+        })
+      };
+    default:
+      if (READ_ONLY_PROPERTY_TYPES.includes(type)) {
+        throw new NotionValidationError(`${type} properties are computed by Notion and cannot be written`, {
+          code: 'validation_error',
+          suggestion: 'Leave read-only properties out of page create and update requests.'
+        });
+      }
+      throw new NotionValidationError(`Unsupported property type "${type}"`, { code: 'validation_error' });
+  }
+}
+
+/**
+ * Convert a Notion property value (or property item) to a plain value
+ * @param {Object} property - Property value with a type, e.g. page.properties.Status
+ */
+export function fromNotionProperty(property) {
+  if (!property || !property.type) {
+    return null;
+  }
+
+  const value = property[property.type];
+
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return extractPlainText(value);
+    case 'number':
+    case 'checkbox':
+    case 'url':
+    case 'email':
+    case 'phone_number':
+    case 'created_time':
+    case 'last_edited_time':
+      return value ?? null;
+    case 'select':
+    case 'status':
+      return value?.name ?? null;
+    case 'multi_select':
+      return (value || []).map(option => option.name);
+    case 'date':
+      return fromNotionDate(value);
+    case 'people':
+      return (value || []).map(fromNotionUser);
+    case 'created_by':
+    case 'last_edited_by':
+      return fromNotionUser(value);
+    case 'relation':
+      return (value || []).map(page => page.id);
+    case 'files':
+      return (value || []).map(file => ({
+        name: file.name,
+        url: file[file.type]?.url ?? null,
+        expiryTime: file.file?.expiry_time ?? null
+      }));
+    case 'formula':
+      return value?.type === 'date' ? fromNotionDate(value.date) : value?.[value?.type] ?? null;
+    case 'rollup':
+      return fromNotionRollup(value);
+    case 'unique_id':
+      if (!value || value.number === null || value.number === undefined) {
+        return null;
+      }
+      return value.prefix ? `${value.prefix}-${value.number}` : value.number;
+    case 'verification':
+      return value ? {
+        state: value.state,
+        verifiedBy: value.verified_by ? fromNotionUser(value.verified_by) : null,
+        date: fromNotionDate(value.date)
+      } : null;
+    case 'button':
+      return null;
+    default:
+      return value ?? null;
+  }
+}
+
+/**
+ * Read a user object as { id, name, email, type }
+ */
+function fromNotionUser(user) {
+  if (!user) {
+    return null;
+  }
+  return {
+    id: user.id,
+    name: user.name ?? null,
+    email: user.person?.email ?? null,
+    type: user.type ?? null
+  };
+}
+
+/**
+ * Read a rollup value: numbers and dates directly, arrays item by item
+ */
+function fromNotionRollup(rollup) {
+  if (!rollup) {
+    return null;
+  }
+  switch (rollup.type) {
+    case 'number':
+      return rollup.number ?? null;
+    case 'date':
+      return fromNotionDate(rollup.date);
+    case 'array':
+      return (rollup.array || []).map(fromNotionProperty);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a value is already a Notion property value of the given type, e.g. { select: { name } }
+ */
+export function isNotionProperty(type, value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && type in value;
+}
+
+/**
+ * Build a page properties object from plain values using a database schema
+ * Values already in Notion's format (see isNotionProperty) are passed through
+ * @param {Object} values - { [propertyName]: plainValue }
+ * @param {Object} database - Database object from getDatabase
+ */
+export function toNotionProperties(values, database) {
+  const properties = {};
+
+  Object.entries(values).forEach(([name, value]) => {
+    const schema = database?.properties?.[name];
+    if (!schema) {
+      throw new NotionValidationError(`Unknown property "${name}"`, {
+        code: 'validation_error',
+        suggestion: `Available properties: ${Object.keys(database?.properties || {}).join(', ')}`
+      });
+    }
+    properties[name] = isNotionProperty(schema.type, value) ? value : toNotionProperty(schema.type, value);
+  });
+
+  return properties;
+}
+
+/**
+ * Read all properties of a page as plain values keyed by property name
+ */
+export function fromNotionProperties(page) {
+  return Object.fromEntries(
+    Object.entries(page?.properties || {}).map(([name, property]) => [name, fromNotionProperty(property)])
+  );
+}
+
+/**
+ * Copy a page's properties as values Notion accepts on write, mapped onto a database schema
+ * Read-only properties are dropped, rich text keeps its formatting, and properties the database lacks
+ * (or has with another type) are reported instead of sent
+ * @param {Object} page - Page object from getPage
+ * @param {Object} database - Target database object from getDatabase
+ * @returns {Object} { properties, skipped: [{ name, reason }] }
+ */
+export function toWritableProperties(page, database) {
+  const properties = {};
+  const skipped = [];
+
+  Object.entries(page?.properties || {}).forEach(([name, property]) => {
+    if (READ_ONLY_PROPERTY_TYPES.includes(property.type)) {
+      return;
+    }
+
+    const schema = database?.properties?.[name];
+    if (!schema) {
+      skipped.push({ name, reason: 'The target database has no property with this name' });
+      return;
+    }
+    if (schema.type !== property.type) {
+      skipped.push({ name, reason: `The target property is ${schema.type}, not ${property.type}` });
+      return;
+    }
+
+    const value = property[property.type];
+    if (property.type === 'title' || property.type === 'rich_text') {
+      properties[name] = { [property.type]: toWritableRichText(value) };
+    } else if (property.type === 'files' && (value || []).some(file => file.type !== 'external')) {
+      skipped.push({ name, reason: 'Files uploaded to Notion cannot be re-uploaded through the API' });
+    } else {
+      properties[name] = toNotionProperty(property.type, fromNotionProperty(property));
+    }
+  });
+
+  return { properties, skipped };
+}
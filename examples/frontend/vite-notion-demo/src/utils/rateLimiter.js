@@ -0,0 +1,223 @@
+/**
+ * Rate Limiter
+ * Token-bucket scheduler with a concurrency cap and priority lanes, shared by all NotionAPI calls
+ */
+
+import { createAbortError } from './errors.js';
+
+/**
+ * Priority lanes, highest first
+ */
+export const PRIORITIES = ['interactive', 'background'];
+
+/**
+ * RateLimiter class that hands out request slots
+ */
+export class RateLimiter {
+  constructor(options = {}) {
+    this.rate = 3; // tokens per second
+    this.burst = 3; // bucket size
+    this.maxConcurrent = 3;
+    this.configure(options);
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.active = 0;
+    this.queues = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+    this.timer = null;
+    this.listeners = new Set();
+    this.stats = {
+      started: 0,
+      totalWait: 0
+    };
+  }
+
+  /**
+   * Update rate, burst and concurrency limits
+   */
+  configure(options = {}) {
+    const { rate, burst, maxConcurrent } = options;
+
+    if (rate !== undefined) {
+      this.rate = rate;
+    }
+    if (burst !== undefined) {
+      this.burst = burst;
+      this.tokens = Math.min(this.tokens ?? burst, burst);
+    }
+    if (maxConcurrent !== undefined) {
+      this.maxConcurrent = maxConcurrent;
+    }
+
+    if (this.queues) {
+      this.drain();
+    }
+  }
+
+  /**
+   * Wait for a request slot
+   * @param {string} priority - One of PRIORITIES; unknown values fall back to 'interactive'
+   * @param {AbortSignal} signal - Optional signal that removes the request from the queue
+   * @returns {Promise<Function>} Resolves to a release function that must be called once the request settles
+   */
+  acquire(priority = 'interactive', signal = null) {
+    const lane = this.queues[priority] ? priority : PRIORITIES[0];
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError(signal));
+        return;
+      }
+
+      const entry = { resolve, enqueuedAt: Date.now() };
+
+      if (signal) {
+        const onAbort = () => {
+          const index = this.queues[lane].indexOf(entry);
+          if (index !== -1) {
+            this.queues[lane].splice(index, 1);
+            this.notify();
+            reject(createAbortError(signal));
+          }
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.resolve = (release) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(release);
+        };
+      }
+
+      this.queues[lane].push(entry);
+      this.drain();
+    });
+  }
+
+  /**
+   * Run a function inside a request slot
+   */
+  async schedule(fn, priority = 'interactive', signal = null) {
+    const release = await this.acquire(priority, signal);
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Add tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Get the next waiting entry from the highest-priority non-empty lane
+   */
+  nextEntry() {
+    for (const priority of PRIORITIES) {
+      if (this.queues[priority].length > 0) {
+        return this.queues[priority].shift();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Start as many queued requests as tokens and concurrency allow
+   */
+  drain() {
+    this.refill();
+
+    while (this.getQueueDepth() > 0 && this.active < this.maxConcurrent && this.tokens >= 1) {
+      const entry = this.nextEntry();
+      this.tokens -= 1;
+      this.active++;
+      this.stats.started++;
+      this.stats.totalWait += Date.now() - entry.enqueuedAt;
+      entry.resolve(this.createRelease());
+    }
+
+    // Wake up when the next token is available
+    if (this.getQueueDepth() > 0 && this.active < this.maxConcurrent && !this.timer) {
+      const wait = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.max(wait, 0));
+    }
+
+    this.notify();
+  }
+
+  /**
+   * Create a one-shot release function for an active slot
+   */
+  createRelease() {
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.active--;
+      this.drain();
+    };
+  }
+
+  /**
+   * Number of requests waiting for a slot
+   */
+  getQueueDepth() {
+    return PRIORITIES.reduce((total, priority) => total + this.queues[priority].length, 0);
+  }
+
+  /**
+   * Get queue metrics for display
+   */
+  getMetrics() {
+    return {
+      queued: this.getQueueDepth(),
+      queuedByPriority: Object.fromEntries(
+        PRIORITIES.map(priority => [priority, this.queues[priority].length])
+      ),
+      active: this.active,
+      availableTokens: Math.floor(this.tokens),
+      started: this.stats.started,
+      averageWait: this.stats.started > 0 ? Math.round(this.stats.totalWait / this.stats.started) : 0,
+      rate: this.rate,
+      burst: this.burst,
+      maxConcurrent: this.maxConcurrent
+    };
+  }
+
+  /**
+   * Subscribe to metric changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers with the current metrics
+   */
+  notify() {
+    if (this.listeners.size === 0) {
+      return;
+    }
+
+    const metrics = this.getMetrics();
+    this.listeners.forEach(listener => {
+      try {
+        listener(metrics);
+      } catch (error) {
+        console.warn('Rate limiter listener failed:', error);
+      }
+    });
+  }
+}
@@ -0,0 +1,497 @@
+/**
+ * Block Renderer
+ * Renders Notion block trees as GitHub-flavored Markdown or sanitized HTML (no DOM required)
+ */
+
+const NOTION_URL = 'https://www.notion.so';
+const SAFE_URL = /^(https?:|mailto:|tel:|\/|#)/i;
+const LIST_TYPES = ['bulleted_list_item', 'numbered_list_item', 'to_do'];
+
+/**
+ * Escape text for use in HTML content and attributes
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Return the URL if it uses a safe scheme, otherwise null (drops javascript:, data:, ...)
+ */
+export function sanitizeUrl(url) {
+  const value = String(url ?? '').trim();
+  return SAFE_URL.test(value) ? value : null;
+}
+
+/**
+ * Escape Markdown control characters in plain text
+ */
+function escapeMarkdown(text) {
+  return String(text ?? '').replace(/([\\`*_[\]~<>|])/g, '\\$1');
+}
+
+/**
+ * Notion URL for a page or database id
+ */
+function notionUrl(id) {
+  return `${NOTION_URL}/${String(id).replace(/-/g, '')}`;
+}
+
+/**
+ * Child blocks fetched with fetchBlockTree (block.children) or built locally (block[type].children)
+ */
+function childrenOf(block) {
+  return block.children || block[block.type]?.children || [];
+}
+
+/**
+ * Resolve the link target of a rich text item, including page and database mentions
+ */
+function richTextLink(item) {
+  if (item.href) {
+    return item.href;
+  }
+  if (item.text?.link?.url) {
+    return item.text.link.url;
+  }
+  const mention = item.mention;
+  if (mention?.type === 'page' || mention?.type === 'database') {
+    return notionUrl(mention[mention.type].id);
+  }
+  if (mention?.type === 'link_preview') {
+    return mention.link_preview.url;
+  }
+  return null;
+}
+
+/**
+ * Plain text of a rich text item (mentions fall back to a readable label)
+ */
+function richTextContent(item) {
+  if (item.plain_text !== undefined) {
+    return item.plain_text;
+  }
+  if (item.type === 'equation') {
+    return item.equation.expression;
+  }
+  if (item.type === 'mention') {
+    const mention = item.mention;
+    if (mention.type === 'user') {
+      return `@${mention.user.name || 'user'}`;
+    }
+    if (mention.type === 'date') {
+      return mention.date.end ? `${mention.date.start} → ${mention.date.end}` : mention.date.start;
+    }
+    return mention[mention.type]?.url || mention[mention.type]?.id || '';
+  }
+  return item.text?.content ?? '';
+}
+
+/**
+ * URL of a file object, whether Notion-hosted or external
+ */
+function fileUrl(value) {
+  return value?.[value.type]?.url ?? value?.external?.url ?? value?.file?.url ?? null;
+}
+
+// ============================================================================
+// MARKDOWN
+// ============================================================================
+
+/**
+ * Render a rich text array as inline Markdown
+ */
+export function richTextToMarkdown(richText = []) {
+  return richText.map(item => {
+    if (item.type === 'equation') {
+      return `$${item.equation.expression}$`;
+    }
+
+    const annotations = item.annotations || {};
+    const content = richTextContent(item);
+    if (!content) {
+      return '';
+    }
+
+    // Keep surrounding whitespace outside the emphasis markers
+    const [, leading, core, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) {
+      return content;
+    }
+
+    let text = annotations.code ? `\`${core.replace(/`/g, '\\`')}\`` : escapeMarkdown(core);
+    if (annotations.bold) {
+      text = `**${text}**`;
+    }
+    if (annotations.italic) {
+      text = `_${text}_`;
+    }
+    if (annotations.strikethrough) {
+      text = `~~${text}~~`;
+    }
+    if (annotations.underline) {
+      text = `<u>${text}</u>`;
+    }
+
+    const link = sanitizeUrl(richTextLink(item));
+    if (link) {
+      text = `[${text}](${link})`;
+    }
+    return `${leading}${text}${trailing}`;
+  }).join('');
+}
+
+/**
+ * Prefix every line of a Markdown fragment
+ */
+function indentLines(markdown, prefix, firstPrefix = prefix) {
+  return markdown
+    .split('\n')
+    .map((line, index) => {
+      if (index === 0) {
+        return `${firstPrefix}${line}`;
+      }
+      return line ? `${prefix}${line}` : prefix.trimEnd();
+    })
+    .join('\n');
+}
+
+/**
+ * Render a table block's rows as a GFM table
+ */
+function tableToMarkdown(block) {
+  const rows = childrenOf(block)
+    .filter(row => row.type === 'table_row')
+    .map(row => row.table_row.cells.map(cell => richTextToMarkdown(cell).replace(/\n/g, '<br>')));
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const width = block.table?.table_width || Math.max(...rows.map(row => row.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, index) => cells[index] ?? '').join(' | ')} |`;
+  const divider = `| ${Array(width).fill('---').join(' | ')} |`;
+
+  // GFM tables need a header row; use an empty one when the table has none
+  const header = block.table?.has_column_header ? rows.shift() : [];
+  return [line(header), divider, ...rows.map(line)].join('\n');
+}
+
+/**
+ * Render a single block (and its children) as Markdown
+ * @param {number} number - Position in a numbered list
+ */
+function blockToMarkdown(block, number = 1) {
+  const value = block[block.type] || {};
+  const text = richTextToMarkdown(value.rich_text || []);
+  const children = blocksToMarkdown(childrenOf(block));
+  const withChildren = (markdown, indent = '  ') => (
+    children ? `${markdown}\n${indentLines(children, indent)}` : markdown
+  );
+  const caption = richTextToMarkdown(value.caption || []);
+
+  switch (block.type) {
+    case 'paragraph':
+      return withChildren(text);
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3': {
+      const heading = `${'#'.repeat(Number(block.type.slice(-1)))} ${text}`;
+      return children ? `${heading}\n\n${children}` : heading;
+    }
+    case 'bulleted_list_item':
+      return withChildren(`- ${text}`);
+    case 'numbered_list_item':
+      return withChildren(`${number}. ${text}`, ' '.repeat(`${number}. `.length));
+    case 'to_do':
+      return withChildren(`- [${value.checked ? 'x' : ' '}] ${text}`);
+    case 'toggle':
+      return `<details>\n<summary>${text}</summary>\n\n${children}\n\n</details>`;
+    case 'quote':
+      return indentLines(children ? `${text}\n\n${children}` : text, '> ');
+    case 'callout': {
+      const icon = value.icon?.emoji ? `${value.icon.emoji} ` : '';
+      return indentLines(children ? `${icon}${text}\n\n${children}` : `${icon}${text}`, '> ');
+    }
+    case 'code': {
+      const code = (value.rich_text || []).map(richTextContent).join('');
+      const language = value.language && value.language !== 'plain text' ? value.language : '';
+      const fence = code.includes('```') ? '~~~' : '```';
+      return `${fence}${language}\n${code}\n${fence}`;
+    }
+    case 'equation':
+      return `$$\n${value.expression}\n$$`;
+    case 'divider':
+      return '---';
+    case 'table':
+      return tableToMarkdown(block);
+    case 'column_list':
+    case 'column':
+    case 'synced_block':
+      return children;
+    case 'image': {
+      const url = sanitizeUrl(fileUrl(value));
+      return url ? `![${caption.replace(/[[\]]/g, '')}](${url})` : '';
+    }
+    case 'video':
+    case 'audio':
+    case 'file':
+    case 'pdf': {
+      const url = sanitizeUrl(fileUrl(value));
+      return url ? `[${caption || escapeMarkdown(value.name) || url}](${url})` : '';
+    }
+    case 'bookmark':
+    case 'embed':
+    case 'link_preview': {
+      const url = sanitizeUrl(value.url);
+      return url ? `[${caption || url}](${url})` : '';
+    }
+    case 'child_page':
+      return `📄 [${escapeMarkdown(value.title || 'Untitled')}](${notionUrl(block.id)})`;
+    case 'child_database':
+      return `🗃️ [${escapeMarkdown(value.title || 'Untitled')}](${notionUrl(block.id)})`;
+    case 'link_to_page':
+      return `[Linked page](${notionUrl(value[value.type])})`;
+    case 'table_of_contents':
+    case 'breadcrumb':
+      return '';
+    default:
+      return `<!-- Unsupported block: ${block.type} -->`;
+  }
+}
+
+/**
+ * Render an array of blocks as GitHub-flavored Markdown
+ * @param {Array} blocks - Blocks from getBlockChildren or fetchBlockTree
+ */
+export function blocksToMarkdown(blocks = []) {
+  const parts = [];
+  let previous = null;
+  let number = 0;
+
+  blocks.forEach(block => {
+    number = block.type === 'numbered_list_item' && previous === 'numbered_list_item' ? number + 1 : 1;
+    const markdown = blockToMarkdown(block, number);
+
+    if (markdown !== '') {
+      // Items of the same list stay on consecutive lines
+      const tight = LIST_TYPES.includes(block.type) && LIST_TYPES.includes(previous);
+      parts.push(parts.length > 0 ? (tight ? '\n' : '\n\n') : '', markdown);
+    }
+    previous = block.type;
+  });
+
+  return parts.join('');
+}
+
+// ============================================================================
+// HTML
+// ============================================================================
+
+/**
+ * Render a rich text array as inline HTML, escaping all text
+ */
+export function richTextToHtml(richText = []) {
+  return richText.map(item => {
+    const annotations = item.annotations || {};
+    let html = item.type === 'equation'
+      ? `<span class="notion-equation">${escapeHtml(item.equation.expression)}</span>`
+      : escapeHtml(richTextContent(item)).replace(/\n/g, '<br>');
+
+    if (annotations.code) {
+      html = `<code>${html}</code>`;
+    }
+    if (annotations.bold) {
+      html = `<strong>${html}</strong>`;
+    }
+    if (annotations.italic) {
+      html = `<em>${html}</em>`;
+    }
+    if (annotations.strikethrough) {
+      html = `<s>${html}</s>`;
+    }
+    if (annotations.underline) {
+      html = `<u>${html}</u>`;
+    }
+    if (annotations.color && annotations.color !== 'default' && /^[a-z_]+$/.test(annotations.color)) {
+      html = `<span class="notion-color-${annotations.color}">${html}</span>`;
+    }
+    if (item.type === 'mention') {
+      html = `<span class="notion-mention">${html}</span>`;
+    }
+
+    const link = sanitizeUrl(richTextLink(item));
+    if (link) {
+      html = `<a href="${escapeHtml(link)}" rel="noopener noreferrer" target="_blank">${html}</a>`;
+    }
+    return html;
+  }).join('');
+}
+
+/**
+ * Render a link to a file or external resource
+ */
+function linkHtml(url, label) {
+  const safe = sanitizeUrl(url);
+  if (!safe) {
+    return '';
+  }
+  return `<a href="${escapeHtml(safe)}" rel="noopener noreferrer" target="_blank">${label || escapeHtml(safe)}</a>`;
+}
+
+/**
+ * Render a table block as an HTML table
+ */
+function tableToHtml(block) {
+  const rows = childrenOf(block).filter(row => row.type === 'table_row');
+  const hasColumnHeader = block.table?.has_column_header;
+  const hasRowHeader = block.table?.has_row_header;
+
+  const rowHtml = (row, header) => `<tr>${row.table_row.cells.map((cell, index) => {
+    const tag = header || (hasRowHeader && index === 0) ? 'th' : 'td';
+    return `<${tag}>${richTextToHtml(cell)}</${tag}>`;
+  }).join('')}</tr>`;
+
+  const head = hasColumnHeader && rows.length > 0 ? `<thead>${rowHtml(rows.shift(), true)}</thead>` : '';
+  return `<table class="notion-table">${head}<tbody>${rows.map(row => rowHtml(row, false)).join('')}</tbody></table>`;
+}
+
+/**
+ * Render a single block (and its children) as HTML
+ */
+function blockToHtml(block) {
+  const value = block[block.type] || {};
+  const text = richTextToHtml(value.rich_text || []);
+  const children = blocksToHtml(childrenOf(block));
+  const caption = richTextToHtml(value.caption || []);
+
+  switch (block.type) {
+    case 'paragraph':
+      return `<p>${text}</p>${children ? `<div class="notion-indent">${children}</div>` : ''}`;
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3': {
+      const tag = `h${block.type.slice(-1)}`;
+      if (value.is_toggleable) {
+        return `<details><summary><${tag}>${text}</${tag}></summary>${children}</details>`;
+      }
+      return `<${tag}>${text}</${tag}>`;
+    }
+    case 'bulleted_list_item':
+    case 'numbered_list_item':
+      return `<li>${text}${children}</li>`;
+    case 'to_do':
+      return `<li class="notion-to-do"><input type="checkbox" disabled${value.checked ? ' checked' : ''}> ` +
+        `<span${value.checked ? ' class="notion-checked"' : ''}>${text}</span>${children}</li>`;
+    case 'toggle':
+      return `<details><summary>${text}</summary>${children}</details>`;
+    case 'quote':
+      return `<blockquote>${text}${children}</blockquote>`;
+    case 'callout': {
+      const icon = value.icon?.emoji ? `<span class="notion-callout-icon">${escapeHtml(value.icon.emoji)}</span>` : '';
+      return `<div class="notion-callout">${icon}<div>${text}${children}</div></div>`;
+    }
+    case 'code': {
+      const code = escapeHtml((value.rich_text || []).map(richTextContent).join(''));
+      const language = escapeHtml(value.language || 'plain text').replace(/\s+/g, '-');
+      return `<pre><code class="language-${language}">${code}</code></pre>`;
+    }
+    case 'equation':
+      return `<div class="notion-equation">${escapeHtml(value.expression)}</div>`;
+    case 'divider':
+      return '<hr>';
+    case 'table':
+      return tableToHtml(block);
+    case 'column_list':
+      return `<div class="notion-columns">${children}</div>`;
+    case 'column':
+      return `<div class="notion-column">${children}</div>`;
+    case 'synced_block':
+      return children;
+    case 'image': {
+      const url = sanitizeUrl(fileUrl(value));
+      if (!url) {
+        return '';
+      }
+      const alt = escapeHtml((value.caption || []).map(richTextContent).join(''));
+      return `<figure><img src="${escapeHtml(url)}" alt="${alt}" loading="lazy">` +
+        `${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+    }
+    case 'video':
+    case 'audio':
+    case 'file':
+    case 'pdf':
+      return `<p class="notion-file">${linkHtml(fileUrl(value), caption || escapeHtml(value.name || ''))}</p>`;
+    case 'bookmark':
+    case 'embed':
+    case 'link_preview':
+      return `<p class="notion-bookmark">${linkHtml(value.url, caption)}</p>`;
+    case 'child_page':
+    case 'child_database':
+      return `<p class="notion-child">${block.type === 'child_page' ? '📄' : '🗃️'} ` +
+        `${linkHtml(notionUrl(block.id), escapeHtml(value.title || 'Untitled'))}</p>`;
+    case 'link_to_page':
+      return `<p>${linkHtml(notionUrl(value[value.type]), 'Linked page')}</p>`;
+    case 'table_of_contents':
+    case 'breadcrumb':
+      return '';
+    default:
+      return `<p class="notion-unsupported">Unsupported block: ${escapeHtml(block.type)}</p>`;
+  }
+}
+
+/**
+ * Render an array of blocks as sanitized HTML; consecutive list items are wrapped in ul/ol
+ * @param {Array} blocks - Blocks from getBlockChildren or fetchBlockTree
+ */
+export function blocksToHtml(blocks = []) {
+  const parts = [];
+  let list = null;
+
+  const closeList = () => {
+    if (list) {
+      parts.push(`</${list.split(' ')[0]}>`);
+      list = null;
+    }
+  };
+
+  blocks.forEach(block => {
+    let tag = null;
+    if (block.type === 'numbered_list_item') {
+      tag = 'ol';
+    } else if (block.type === 'bulleted_list_item') {
+      tag = 'ul';
+    } else if (block.type === 'to_do') {
+      tag = 'ul class="notion-to-do-list"';
+    }
+
+    if (tag !== list) {
+      closeList();
+      if (tag) {
+        parts.push(`<${tag}>`);
+        list = tag;
+      }
+    }
+    parts.push(blockToHtml(block));
+  });
+
+  closeList();
+  return parts.join('');
+}
+
+// ============================================================================
+// FETCHING
+// ============================================================================
+
+/**
+ * Fetch a block's children recursively, following has_children; children are attached as block.children
+ * @param {NotionAPI} api - API instance
+ * @param {string} blockId - Page or block id
+ * @param {Object} options - Options for NotionAPI.getPageTree ({ maxDepth, concurrency, onProgress, requestOptions })
+ */
+export function fetchBlockTree(api, blockId, options = {}) {
+  return api.getPageTree(blockId, options);
+}
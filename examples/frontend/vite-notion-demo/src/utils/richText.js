@@ -0,0 +1,101 @@
+/**
+ * Rich Text
+ * Helpers for building and reading Notion rich text arrays
+ */
+
+/**
+ * Notion rejects text segments longer than this
+ */
+export const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * Split text into segments Notion accepts
+ */
+export function chunkText(text, size = MAX_TEXT_LENGTH) {
+  const value = String(text ?? '');
+  if (value.length <= size) {
+    return [value];
+  }
+
+  const chunks = [];
+  for (let index = 0; index < value.length; index += size) {
+    chunks.push(value.slice(index, index + size));
+  }
+  return chunks;
+}
+
+/**
+ * Create rich text array from plain text, split into 2000-character segments
+ * @param {string} text - Plain text
+ * @param {Object} options - { link, bold, italic, strikethrough, underline, code, color }
+ */
+export function createRichText(text, options = {}) {
+  return chunkText(text).map(content => ({
+    type: 'text',
+    text: { content, link: options.link ? { url: options.link.url || options.link } : null },
+    annotations: {
+      bold: options.bold || false,
+      italic: options.italic || false,
+      strikethrough: options.strikethrough || false,
+      underline: options.underline || false,
+      code: options.code || false,
+      color: options.color || 'default'
+    }
+  }));
+}
+
+/**
+ * Normalize text or an existing rich text array
+ */
+export function toRichText(value, options = {}) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (value === null || value === undefined) {
+    return [];
+  }
+  return createRichText(value, options);
+}
+
+/**
+ * Extract plain text from rich text array
+ */
+export function extractPlainText(richText) {
+  if (!Array.isArray(richText)) {
+    return '';
+  }
+  return richText.map(item => item.plain_text ?? item.text?.content ?? '').join('');
+}
+
+/**
+ * Convert rich text read from the API into a form Notion accepts on write
+ * Read-only fields (plain_text, href, mention details) are dropped; mentions that cannot be written
+ * (link previews, template mentions) become plain text linked to their href
+ */
+export function toWritableRichText(richText) {
+  return (richText || []).map(item => {
+    const base = item.annotations ? { annotations: item.annotations } : {};
+
+    if (item.type === 'text') {
+      return { type: 'text', text: { content: item.text.content, link: item.text.link ?? null }, ...base };
+    }
+    if (item.type === 'equation') {
+      return { type: 'equation', equation: { expression: item.equation.expression }, ...base };
+    }
+
+    const mention = item.mention;
+    if (item.type === 'mention' && ['user', 'page', 'database'].includes(mention?.type)) {
+      const target = { id: mention[mention.type].id };
+      return { type: 'mention', mention: { type: mention.type, [mention.type]: target }, ...base };
+    }
+    if (item.type === 'mention' && mention?.type === 'date') {
+      return { type: 'mention', mention: { type: 'date', date: mention.date }, ...base };
+    }
+
+    return {
+      type: 'text',
+      text: { content: item.plain_text ?? '', link: item.href ? { url: item.href } : null },
+      ...base
+    };
+  });
+}
@@ -0,0 +1,263 @@
+/**
+ * Schema Migrations
+ * Diff a declared database schema against the live database and plan the updateDatabase patch
+ *
+ * A declared schema is JSON of the form:
+ *   {
+ *     "title": "Tasks",
+ *     "properties": {
+ *       "Name": { "type": "title" },
+ *       "Status": { "type": "select", "options": ["Todo", { "name": "Done", "color": "green" }] },
+ *       "Owner": { "type": "people", "renamedFrom": "Assignee" },
+ *       "Points": { "type": "number", "format": "number" },
+ *       "Due": "date"
+ *     }
+ *   }
+ * Properties are matched by name, then by renamedFrom or id; the title property always matches the live title.
+ */
+
+import { NotionValidationError } from './errors.js';
+import { createRichText, extractPlainText } from './richText.js';
+
+function schemaError(message, suggestion = null) {
+  return new NotionValidationError(message, { code: 'validation_error', suggestion });
+}
+
+/**
+ * Normalize a select option given as a name or { name, color }
+ */
+function toOption(option) {
+  if (typeof option === 'string') {
+    return { name: option };
+  }
+  return option.color ? { name: option.name, color: option.color } : { name: option.name };
+}
+
+/**
+ * Normalize a declared schema and check its shape
+ */
+export function parseSchema(source) {
+  let schema = source;
+  if (typeof source === 'string') {
+    try {
+      schema = JSON.parse(source);
+    } catch (error) {
+      throw schemaError(`Schema is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!schema?.properties || typeof schema.properties !== 'object') {
+    throw schemaError('Schema must have a properties object keyed by property name');
+  }
+
+  const properties = Object.entries(schema.properties).map(([name, spec]) => {
+    const declaration = typeof spec === 'string' ? { type: spec } : { ...spec };
+    if (!declaration.type) {
+      throw schemaError(`Property "${name}" has no type`);
+    }
+    return { ...declaration, name, options: (declaration.options || []).map(toOption) };
+  });
+
+  if (properties.filter(property => property.type === 'title').length > 1) {
+    throw schemaError('A database has exactly one title property');
+  }
+
+  return { title: schema.title ?? null, properties };
+}
+
+/**
+ * Build the property configuration Notion expects when creating or retyping a property
+ */
+function typeConfig(declaration) {
+  switch (declaration.type) {
+    case 'number':
+      return { format: declaration.format || 'number' };
+    case 'select':
+    case 'multi_select':
+      return { options: declaration.options };
+    case 'formula':
+      return { expression: declaration.expression };
+    case 'relation': {
+      const relationType = declaration.dual ? 'dual_property' : 'single_property';
+      return { database_id: declaration.database_id, type: relationType, [relationType]: {} };
+    }
+    case 'rollup':
+      return {
+        relation_property_name: declaration.relation_property_name,
+        rollup_property_name: declaration.rollup_property_name,
+        function: declaration.function || 'show_original'
+      };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Compare a live property with its declaration when both have the same type
+ * @returns {Object|null} { config, change } for the patch and plan, or null when nothing differs
+ */
+function configChange(live, declaration, warnings) {
+  const type = declaration.type;
+
+  if (type === 'select' || type === 'multi_select') {
+    const existing = live[type]?.options || [];
+    const names = new Set(existing.map(option => option.name));
+    const added = declaration.options.filter(option => !names.has(option.name));
+    if (added.length === 0) {
+      return null;
+    }
+    // Options left out of the list would be removed, so existing ones are sent back by id
+    return {
+      config: { options: [...existing.map(option => ({ id: option.id, name: option.name })), ...added] },
+      change: { action: 'add_options', options: added.map(option => option.name) }
+    };
+  }
+
+  if (type === 'status') {
+    const names = new Set((live.status?.options || []).map(option => option.name));
+    const missing = declaration.options.filter(option => !names.has(option.name)).map(option => option.name);
+    if (missing.length > 0) {
+      warnings.push(
+        `Status options cannot be added through the API; add ${missing.join(', ')} to "${declaration.name}" in Notion`
+      );
+    }
+    return null;
+  }
+
+  if (type === 'number' && declaration.format && declaration.format !== live.number?.format) {
+    return {
+      config: { format: declaration.format },
+      change: { action: 'update', details: `format ${live.number?.format} → ${declaration.format}` }
+    };
+  }
+
+  if (type === 'formula' && declaration.expression && declaration.expression !== live.formula?.expression) {
+    return {
+      config: { expression: declaration.expression },
+      change: { action: 'update', details: 'formula expression' }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Diff a declared schema against a database from getDatabase
+ * @param {Object} database - Live database object
+ * @param {Object|string} declared - Declared schema (see above)
+ * @param {Object} options - { allowRemovals: delete live properties missing from the declaration }
+ * @returns {Object} { changes: [{ action, property, ... }], warnings, extra, patch } where patch is the
+ *   updateDatabase body, or null when the database already matches
+ */
+export function diffSchema(database, declared, options = {}) {
+  const { allowRemovals = false } = options;
+  const schema = parseSchema(declared);
+  const live = Object.entries(database?.properties || {}).map(([name, property]) => ({ ...property, name }));
+  const matched = new Set();
+  const changes = [];
+  const warnings = [];
+  const patch = { properties: {} };
+
+  schema.properties.forEach(declaration => {
+    const current =
+      live.find(property => property.name === declaration.name) ||
+      live.find(property => declaration.renamedFrom && property.name === declaration.renamedFrom) ||
+      live.find(property => declaration.id && property.id === declaration.id) ||
+      (declaration.type === 'title' ? live.find(property => property.type === 'title') : null);
+
+    if (!current || matched.has(current.name)) {
+      if (declaration.type === 'status') {
+        warnings.push(`Status properties cannot be created through the API; add "${declaration.name}" in Notion`);
+        return;
+      }
+      changes.push({ action: 'add', property: declaration.name, type: declaration.type });
+      patch.properties[declaration.name] = { [declaration.type]: typeConfig(declaration) };
+      return;
+    }
+
+    matched.add(current.name);
+    const entry = {};
+
+    if (current.name !== declaration.name) {
+      changes.push({ action: 'rename', property: declaration.name, from: current.name });
+      entry.name = declaration.name;
+    }
+
+    if (current.type !== declaration.type) {
+      if (current.type === 'title' || declaration.type === 'title') {
+        warnings.push(`"${current.name}" cannot change between title and ${declaration.type}`);
+      } else if (declaration.type === 'status') {
+        warnings.push(`"${current.name}" cannot be changed to a status property through the API`);
+      } else {
+        changes.push({ action: 'retype', property: declaration.name, from: current.type, to: declaration.type });
+        entry[declaration.type] = typeConfig(declaration);
+      }
+    } else {
+      const update = configChange(current, declaration, warnings);
+      if (update) {
+        changes.push({ ...update.change, property: declaration.name });
+        entry[declaration.type] = update.config;
+      }
+    }
+
+    if (Object.keys(entry).length > 0) {
+      patch.properties[current.id] = entry;
+    }
+  });
+
+  const extra = live.filter(property => !matched.has(property.name)).map(property => property.name);
+  if (allowRemovals) {
+    live.filter(property => !matched.has(property.name)).forEach(property => {
+      changes.push({ action: 'remove', property: property.name });
+      patch.properties[property.id] = null;
+    });
+  }
+
+  if (schema.title !== null && schema.title !== extractPlainText(database?.title)) {
+    changes.push({ action: 'retitle', property: null, from: extractPlainText(database?.title), to: schema.title });
+    patch.title = createRichText(schema.title);
+  }
+
+  if (Object.keys(patch.properties).length === 0) {
+    delete patch.properties;
+  }
+
+  return {
+    changes,
+    warnings,
+    extra: allowRemovals ? [] : extra,
+    patch: Object.keys(patch).length > 0 ? patch : null
+  };
+}
+
+/**
+ * Describe a migration plan as readable lines for a dry run
+ */
+export function formatPlan(plan) {
+  const lines = plan.changes.map(change => {
+    switch (change.action) {
+      case 'add':
+        return `+ add ${change.property} (${change.type})`;
+      case 'rename':
+        return `~ rename ${change.from} → ${change.property}`;
+      case 'retype':
+        return `~ retype ${change.property}: ${change.from} → ${change.to}`;
+      case 'add_options':
+        return `~ add options to ${change.property}: ${change.options.join(', ')}`;
+      case 'update':
+        return `~ update ${change.property}: ${change.details}`;
+      case 'remove':
+        return `- remove ${change.property}`;
+      case 'retitle':
+        return `~ retitle database: ${change.from} → ${change.to}`;
+      default:
+        return `? ${change.action} ${change.property}`;
+    }
+  });
+
+  if (lines.length === 0) {
+    lines.push('No changes: the database matches the schema');
+  }
+  plan.extra.forEach(name => lines.push(`  keep ${name} (not in schema; pass allowRemovals to delete)`));
+  plan.warnings.forEach(warning => lines.push(`! ${warning}`));
+  return lines.join('\n');
+}
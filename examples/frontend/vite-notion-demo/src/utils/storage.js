@@ -366,6 +366,27 @@ export class StorageManager {
     return this.get(`cache:${key}`);
   }
 
+  /**
+   * Remove a cached API response
+   */
+  removeCachedResponse(key) {
+    this.remove(`cache:${key}`);
+  }
+
+  /**
+   * List cached response keys starting with a prefix (without the cache: prefix)
+   */
+  getCachedResponseKeys(prefix = '') {
+    if (!this.isSupported) {
+      return [];
+    }
+
+    const start = this.getKey(`cache:${prefix}`);
+    return Object.keys(localStorage)
+      .filter(key => key.startsWith(start))
+      .map(key => key.slice(this.getKey('cache:').length));
+  }
+
   /**
    * Save workspace stats
    */
@@ -426,6 +447,27 @@ export class StorageManager {
     this.remove(`temp:form:${formId}`);
   }
 
+  /**
+   * Save the progress of an interrupted CSV import so it can resume
+   */
+  saveImportProgress(databaseId, progress) {
+    return this.set(`import:${databaseId}`, progress, 24 * 60 * 60 * 1000); // 24 hour TTL
+  }
+
+  /**
+   * Get saved CSV import progress
+   */
+  getImportProgress(databaseId) {
+    return this.get(`import:${databaseId}`);
+  }
+
+  /**
+   * Clear saved CSV import progress
+   */
+  clearImportProgress(databaseId) {
+    this.remove(`import:${databaseId}`);
+  }
+
   /**
    * Save API call history for debugging
    */
@@ -0,0 +1,249 @@
+/**
+ * Incremental Sync
+ * Mirror database pages by fetching only what changed since the last run
+ *
+ * Each database keeps a watermark (the newest last_edited_time seen) and the last_edited_time of every
+ * page it knows. A run queries last_edited_time on_or_after the watermark in ascending order, then sweeps
+ * the database's page ids to find pages that were archived, trashed or moved out. State is saved only after
+ * every change has been delivered, so an interrupted run is repeated: treat changes as at-least-once.
+ *
+ * Example:
+ *   const sync = new SyncEngine(api, { store: createFileStore('./notion-sync.json') });
+ *   sync.subscribe(async (change) => mirror.apply(change));
+ *   await sync.sync(databaseId);
+ */
+
+import { NotionNotFoundError } from './errors.js';
+import { sortByTimestamp, timestamp } from './filterBuilder.js';
+
+/**
+ * Compare ids with and without dashes
+ */
+function normalizeId(id) {
+  return (id || '').replace(/-/g, '');
+}
+
+/**
+ * Keep sync state in memory (scripts and tests)
+ */
+export function createMemoryStore() {
+  const states = new Map();
+  return {
+    async load(key) {
+      return states.get(key) ?? null;
+    },
+    async save(key, state) {
+      states.set(key, state);
+    }
+  };
+}
+
+/**
+ * Keep sync state in the browser through StorageManager
+ */
+export function createStorageStore(storage) {
+  return {
+    async load(key) {
+      return storage.get(key);
+    },
+    async save(key, state) {
+      storage.set(key, state);
+    }
+  };
+}
+
+/**
+ * Keep sync state in a JSON file in Node, one entry per database
+ */
+export function createFileStore(path) {
+  // A variable specifier keeps the browser build from trying to bundle the Node module
+  const fsModule = 'node:fs/promises';
+
+  const readAll = async (fs) => {
+    try {
+      return JSON.parse(await fs.readFile(path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  };
+
+  return {
+    async load(key) {
+      const fs = await import(/* @vite-ignore */ fsModule);
+      return (await readAll(fs))[key] ?? null;
+    },
+    async save(key, state) {
+      const fs = await import(/* @vite-ignore */ fsModule);
+      const states = { ...(await readAll(fs)), [key]: state };
+      // Write a temporary file and rename it so a crash never leaves half-written state
+      await fs.writeFile(`${path}.tmp`, JSON.stringify(states, null, 2));
+      await fs.rename(`${path}.tmp`, path);
+    }
+  };
+}
+
+/**
+ * SyncEngine class that tracks watermarks and emits page changes
+ */
+export class SyncEngine {
+  /**
+   * @param {NotionAPI} api - API instance
+   * @param {Object} options - { store, detectDeletes }
+   *   store has async load(key) and save(key, state) (defaults to memory); detectDeletes: false skips
+   *   the id sweep, which costs one extra query page per 100 pages in the database
+   */
+  constructor(api, options = {}) {
+    this.api = api;
+    this.store = options.store || createMemoryStore();
+    this.detectDeletes = options.detectDeletes ?? true;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to changes: { type: 'create' | 'update' | 'delete', databaseId, pageId, lastEditedTime, page, reason }
+   * Listeners may be async; a listener that throws stops the run before its state is saved
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  stateKey(databaseId) {
+    return `sync:${normalizeId(databaseId)}`;
+  }
+
+  /**
+   * Read the saved state of a database: { watermark, pages: { [id]: lastEditedTime }, lastSyncedAt }
+   */
+  async getState(databaseId) {
+    const state = await this.store.load(this.stateKey(databaseId));
+    return state || { watermark: null, pages: {}, lastSyncedAt: null };
+  }
+
+  /**
+   * Forget a database's state so the next run starts with a full load
+   */
+  async reset(databaseId) {
+    await this.store.save(this.stateKey(databaseId), null);
+  }
+
+  /**
+   * Sync one database
+   * The first run reports every page as created; later runs report what changed since the watermark
+   * @param {Object} options - { requestOptions }
+   * @returns {Promise<Object>} { databaseId, changes, watermark, created, updated, deleted, full }
+   */
+  async sync(databaseId, options = {}) {
+    const { requestOptions = {} } = options;
+    const state = await this.getState(databaseId);
+    const pages = { ...state.pages };
+    const changes = [];
+    let watermark = state.watermark;
+
+    // Notion rounds last_edited_time to the minute, so on_or_after repeats the last minute's pages;
+    // those whose timestamp is unchanged are skipped below
+    const filter = state.watermark ? timestamp('last_edited_time').onOrAfter(state.watermark) : null;
+    const sorts = [sortByTimestamp('last_edited_time', 'ascending')];
+
+    for await (const page of this.api.iterateDatabase(databaseId, { filter, sorts, requestOptions })) {
+      const known = pages[page.id];
+      if (known !== page.last_edited_time) {
+        changes.push({
+          type: known ? 'update' : 'create',
+          databaseId,
+          pageId: page.id,
+          lastEditedTime: page.last_edited_time,
+          page
+        });
+        pages[page.id] = page.last_edited_time;
+      }
+      if (!watermark || page.last_edited_time > watermark) {
+        watermark = page.last_edited_time;
+      }
+    }
+
+    if (this.detectDeletes && state.watermark) {
+      changes.push(...await this.findDeletions(databaseId, pages, requestOptions));
+      changes.filter(change => change.type === 'delete').forEach(change => delete pages[change.pageId]);
+    }
+
+    for (const change of changes) {
+      for (const listener of this.listeners) {
+        await listener(change);
+      }
+    }
+
+    await this.store.save(this.stateKey(databaseId), { watermark, pages, lastSyncedAt: new Date().toISOString() });
+
+    const count = (type) => changes.filter(change => change.type === type).length;
+    return {
+      databaseId,
+      changes,
+      watermark,
+      created: count('create'),
+      updated: count('update'),
+      deleted: count('delete'),
+      full: !state.watermark
+    };
+  }
+
+  /**
+   * Sync several databases one after another
+   */
+  async syncAll(databaseIds, options = {}) {
+    const results = [];
+    for (const databaseId of databaseIds) {
+      results.push(await this.sync(databaseId, options));
+    }
+    return results;
+  }
+
+  /**
+   * Find known pages that left the database
+   * Queries skip archived pages, so every id still in the database is listed (title only) and each
+   * missing page is fetched to learn why it is gone
+   */
+  async findDeletions(databaseId, pages, requestOptions) {
+    const present = new Set();
+    const sweep = this.api.iterateDatabase(databaseId, { filterProperties: ['title'], requestOptions });
+    for await (const page of sweep) {
+      present.add(page.id);
+    }
+
+    const missing = Object.keys(pages).filter(pageId => !present.has(pageId));
+    const reasons = await Promise.all(missing.map(pageId => this.deletionReason(pageId, databaseId, requestOptions)));
+
+    return missing
+      .map((pageId, index) => ({
+        type: 'delete',
+        databaseId,
+        pageId,
+        lastEditedTime: pages[pageId],
+        reason: reasons[index]
+      }))
+      .filter(change => change.reason);
+  }
+
+  /**
+   * Explain why a page is missing from the database: archived, moved or not_found (deleted or unshared)
+   * @returns {Promise<string|null>} null when the page is still in the database
+   */
+  async deletionReason(pageId, databaseId, requestOptions) {
+    try {
+      const page = await this.api.getPage(pageId, { ...requestOptions, cache: false });
+      if (page.archived || page.in_trash) {
+        return 'archived';
+      }
+      return normalizeId(page.parent?.database_id) === normalizeId(databaseId) ? null : 'moved';
+    } catch (error) {
+      if (error instanceof NotionNotFoundError) {
+        return 'not_found';
+      }
+      throw error;
+    }
+  }
+}
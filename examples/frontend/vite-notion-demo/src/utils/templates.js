@@ -0,0 +1,301 @@
+/**
+ * Page Templates
+ * Create database pages from templates with {{placeholders}} in properties and block text
+ *
+ * A template is JSON of the form:
+ *   {
+ *     "name": "Weekly report",
+ *     "properties": { "Name": "Report for {{team}}", "Due": "{{today+7d}}", "Tags": "{{tags}}" },
+ *     "content": "# {{team}}\n- [ ] Review {{yesterday}}"   (Markdown, or "children": [blocks])
+ *   }
+ * Property values are plain values (see toNotionProperty) or { type, value } to pin the expected type.
+ * Placeholders: {{name}}, {{client.name}}, {{name|default}}, and dates {{today}}, {{now}}, {{tomorrow}},
+ * {{yesterday}} with offsets such as {{today+7d}} or {{now-2h}} (units h, d, w, m, y).
+ */
+
+import { NotionValidationError } from './errors.js';
+import { READ_ONLY_PROPERTY_TYPES, fromNotionProperties, toNotionProperty } from './properties.js';
+import { toWritableBlocks } from './blocks.js';
+
+const PLACEHOLDER = /\{\{\s*([^{}|]+?)\s*(?:\|\s*([^{}]*?)\s*)?\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([^{}|]+?)\s*(?:\|\s*([^{}]*?)\s*)?\}\}$/;
+const DATE_EXPRESSION = /^(today|now|tomorrow|yesterday)\s*(?:([+-])\s*(\d+)\s*([hdwmy]))?$/;
+
+// Block fields whose text is searched for placeholders
+const TEXT_FIELDS = ['content', 'expression', 'url'];
+
+function templateError(message, suggestion = null) {
+  return new NotionValidationError(message, { code: 'validation_error', suggestion });
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ */
+function toLocalDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Evaluate a computed date such as today+7d; returns undefined for other expressions
+ */
+function computeDate(expression, now) {
+  const match = expression.match(DATE_EXPRESSION);
+  if (!match) {
+    return undefined;
+  }
+
+  const [, base, sign, amount, unit] = match;
+  const date = new Date(now);
+  const offset = { tomorrow: 1, yesterday: -1 }[base] || 0;
+  date.setDate(date.getDate() + offset);
+
+  if (sign) {
+    const value = Number(amount) * (sign === '-' ? -1 : 1);
+    if (unit === 'h') {
+      date.setHours(date.getHours() + value);
+    } else if (unit === 'd') {
+      date.setDate(date.getDate() + value);
+    } else if (unit === 'w') {
+      date.setDate(date.getDate() + value * 7);
+    } else if (unit === 'm') {
+      date.setMonth(date.getMonth() + value);
+    } else {
+      date.setFullYear(date.getFullYear() + value);
+    }
+  }
+
+  return base === 'now' ? date.toISOString() : toLocalDate(date);
+}
+
+/**
+ * Look up a variable by name or dotted path
+ */
+function lookup(variables, path) {
+  return path.split('.').reduce((value, key) => value?.[key], variables);
+}
+
+/**
+ * Resolve a placeholder expression; records it in `missing` when it has no value and no default
+ */
+function resolve(expression, fallback, context) {
+  const computed = computeDate(expression, context.now);
+  if (computed !== undefined) {
+    return computed;
+  }
+
+  const value = lookup(context.variables, expression);
+  if (value !== undefined && value !== null) {
+    return value instanceof Date ? toLocalDate(value) : value;
+  }
+  if (fallback !== undefined) {
+    return fallback;
+  }
+  context.missing.add(expression);
+  return '';
+}
+
+/**
+ * Substitute placeholders in a string
+ * A string that is a single placeholder keeps the variable's type (arrays, numbers, booleans)
+ */
+function fillString(text, context) {
+  const whole = text.match(WHOLE_PLACEHOLDER);
+  if (whole) {
+    return resolve(whole[1], whole[2], context);
+  }
+  return text.replace(PLACEHOLDER, (_, expression, fallback) => {
+    const value = resolve(expression, fallback, context);
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+/**
+ * Substitute placeholders in every property value (strings, arrays and { start, end } objects)
+ */
+function fillValue(value, context) {
+  if (typeof value === 'string') {
+    return fillString(value, context);
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(item => fillValue(item, context));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillValue(item, context)]));
+  }
+  return value;
+}
+
+/**
+ * Substitute placeholders in the text fields of a block tree
+ */
+function fillBlocks(node, context) {
+  if (Array.isArray(node)) {
+    return node.map(item => fillBlocks(item, context));
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => [
+    key,
+    TEXT_FIELDS.includes(key) && typeof value === 'string'
+      ? String(fillString(value, context))
+      : fillBlocks(value, context)
+  ]));
+}
+
+/**
+ * Parse and check a template from JSON text or an object
+ */
+export function parseTemplate(source) {
+  let template = source;
+  if (typeof source === 'string') {
+    try {
+      template = JSON.parse(source);
+    } catch (error) {
+      throw templateError(`Template is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    throw templateError('Template must be an object with properties and content or children');
+  }
+  if (template.properties && (typeof template.properties !== 'object' || Array.isArray(template.properties))) {
+    throw templateError('Template properties must be an object keyed by property name');
+  }
+  if (template.children && !Array.isArray(template.children)) {
+    throw templateError('Template children must be an array of blocks');
+  }
+
+  return {
+    name: template.name || 'Untitled template',
+    properties: template.properties || {},
+    content: typeof template.content === 'string' ? template.content : null,
+    children: template.children || []
+  };
+}
+
+/**
+ * Load a template from an existing Notion page: its properties and its block tree
+ * @param {NotionAPI} api - API instance
+ */
+export async function loadTemplateFromPage(api, pageId, requestOptions = {}) {
+  const page = await api.getPage(pageId, requestOptions);
+  const tree = await api.getPageTree(pageId, { requestOptions });
+
+  const values = fromNotionProperties(page);
+  const properties = {};
+  Object.entries(page.properties).forEach(([name, property]) => {
+    const value = values[name];
+    const empty = value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    // Files uploaded to Notion have expiring URLs and cannot be copied
+    const uploaded = property.type === 'files' && value.some(file => file.expiryTime);
+    if (!READ_ONLY_PROPERTY_TYPES.includes(property.type) && !empty && !uploaded) {
+      properties[name] = { type: property.type, value };
+    }
+  });
+
+  const titleName = Object.keys(page.properties).find(name => page.properties[name].type === 'title');
+  return parseTemplate({
+    name: values[titleName] || 'Untitled template',
+    properties,
+    children: toWritableBlocks(tree).blocks
+  });
+}
+
+/**
+ * Fill a template's placeholders
+ * @param {Object} template - Template from parseTemplate or loadTemplateFromPage
+ * @param {Object} variables - Values for {{placeholders}}
+ * @param {Object} options - { now: Date used for computed dates }
+ * @returns {Object} { properties: { name: { type, value } }, content, children }
+ * @throws {NotionValidationError} When placeholders have no value and no default
+ */
+export function renderTemplate(template, variables = {}, options = {}) {
+  const context = { variables, now: options.now || new Date(), missing: new Set() };
+
+  const properties = Object.fromEntries(Object.entries(template.properties).map(([name, spec]) => {
+    const pinned = spec && typeof spec === 'object' && !Array.isArray(spec) && 'value' in spec;
+    return [name, { type: pinned ? spec.type : null, value: fillValue(pinned ? spec.value : spec, context) }];
+  }));
+  const content = template.content !== null ? String(fillString(template.content, context)) : null;
+  const children = fillBlocks(template.children, context);
+
+  if (context.missing.size > 0) {
+    const names = [...context.missing];
+    throw templateError(
+      `Missing template variables: ${names.join(', ')}`,
+      `Pass values for ${names.join(', ')} or give defaults as {{name|default}}.`
+    );
+  }
+
+  return { properties, content, children };
+}
+
+/**
+ * Check rendered template properties against a database schema and convert them to property values
+ * @param {Object} properties - Rendered properties from renderTemplate
+ * @param {Object} database - Database object from getDatabase
+ * @returns {Object} Page properties for createPage
+ * @throws {NotionValidationError} Listing every problem found
+ */
+export function validateTemplateProperties(properties, database) {
+  const problems = [];
+  const result = {};
+
+  Object.entries(properties).forEach(([name, { type, value }]) => {
+    const schema = database?.properties?.[name];
+    if (!schema) {
+      problems.push(`Unknown property "${name}"`);
+      return;
+    }
+    if (type && type !== schema.type) {
+      problems.push(`Property "${name}" is ${schema.type} in the database but ${type} in the template`);
+      return;
+    }
+    if (READ_ONLY_PROPERTY_TYPES.includes(schema.type)) {
+      problems.push(`Property "${name}" is ${schema.type}, which Notion computes`);
+      return;
+    }
+    if (schema.type === 'status' && value) {
+      const options = schema.status?.options?.map(option => option.name) || [];
+      if (!options.includes(value)) {
+        problems.push(`"${value}" is not a status option of "${name}" (${options.join(', ')})`);
+        return;
+      }
+    }
+
+    try {
+      result[name] = toNotionProperty(schema.type, value);
+    } catch (error) {
+      problems.push(`Property "${name}": ${error.message}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    const available = Object.keys(database?.properties || {}).join(', ');
+    throw templateError(
+      `Invalid template: ${problems.join('; ')}`,
+      available ? `Available properties: ${available}` : null
+    );
+  }
+  return result;
+}
+
+/**
+ * Create a page in a database from a template
+ * @param {NotionAPI} api - API instance
+ * @param {Object} template - Template from parseTemplate or loadTemplateFromPage
+ * @param {string} databaseId - Target database
+ * @param {Object} variables - Values for {{placeholders}}
+ * @param {Object} options - { now, requestOptions }
+ */
+export async function instantiateTemplate(api, template, databaseId, variables = {}, options = {}) {
+  const { requestOptions = {} } = options;
+  const rendered = renderTemplate(parseTemplate(template), variables, options);
+  const database = await api.getDatabase(databaseId, requestOptions);
+  const properties = validateTemplateProperties(rendered.properties, database);
+
+  const children = rendered.content !== null ? rendered.content : rendered.children;
+  return api.createPage({ type: 'database_id', database_id: databaseId }, properties, children, requestOptions);
+}
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  LIMITS,
+  createColumnBlock,
+  createColumnListBlock,
+  createParagraphBlock,
+  createTableBlock,
+  createToggleBlock,
+  planAppend
+} from '../src/utils/blocks.js';
+import { NotionValidationError } from '../src/utils/errors.js';
+
+/**
+ * Count a payload's blocks, nested children included
+ */
+function countBlocks(blocks) {
+  return blocks.reduce((total, block) => total + 1 + countBlocks(block[block.type].children || []), 0);
+}
+
+function paragraphs(count, prefix = 'p') {
+  return Array.from({ length: count }, (_, index) => createParagraphBlock(`${prefix}${index}`));
+}
+
+test('planAppend keeps a block with more than 1,000 nested blocks under the per-request limit', () => {
+  const sections = Array.from({ length: 100 }, (_, index) => createToggleBlock(`s${index}`, paragraphs(100)));
+  const root = createToggleBlock('root', sections);
+  assert.equal(countBlocks([root]), 10101);
+
+  const batches = planAppend([root]);
+  assert.equal(batches.length, 1);
+  assert.ok(countBlocks(batches[0].blocks) <= LIMITS.blocksPerRequest);
+
+  // Every cut-off block is still sent, as a follow-up in its original order
+  const inline = batches[0].blocks[0].toggle.children;
+  const rest = batches[0].followUps.find(followUp => followUp.path.length === 0);
+  const titles = (blocks) => blocks.map(block => block.toggle.rich_text);
+  assert.deepEqual([...titles(inline), ...titles(rest.children)], titles(sections));
+  const partial = inline[inline.length - 1];
+  const partialFollowUp = batches[0].followUps.find(followUp => followUp.path.length === 1 &&
+    followUp.path[0] === inline.length - 1);
+  assert.equal(partial.toggle.children.length + partialFollowUp.children.length, 100);
+});
+
+test('planAppend moves a table past the nesting limit to a follow-up with its rows', () => {
+  const table = createTableBlock([['a', 'b'], ['c', 'd']]);
+  const before = createParagraphBlock('before');
+  const inner = createToggleBlock('inner', [before, table, createParagraphBlock('after')]);
+  const [batch] = planAppend([createToggleBlock('outer', [inner])]);
+
+  assert.deepEqual(batch.blocks[0].toggle.children[0].toggle.children, [before]);
+  assert.deepEqual(batch.followUps, [{ index: 0, path: [0], children: inner.toggle.children.slice(1) }]);
+
+  // Appended under the inner toggle, the table is top level again and keeps its rows
+  const [followUp] = planAppend(batch.followUps[0].children);
+  assert.equal(followUp.blocks[0].table.children.length, 2);
+});
+
+test('planAppend moves a column layout inside a toggle to a follow-up as a whole', () => {
+  const columns = createColumnListBlock([paragraphs(2, 'l'), paragraphs(2, 'r')].map(createColumnBlock));
+  const [batch] = planAppend([createToggleBlock('outer', [columns])]);
+
+  assert.equal(batch.blocks[0].toggle.children, undefined);
+  assert.deepEqual(batch.followUps, [{ index: 0, path: [], children: [columns] }]);
+  assert.equal(planAppend([columns])[0].blocks[0].column_list.children.length, 2);
+});
+
+test('planAppend rejects a column that starts with a table it cannot nest', () => {
+  const columns = createColumnListBlock([
+    createColumnBlock([createTableBlock([['a']])]),
+    createColumnBlock(paragraphs(1))
+  ]);
+  assert.throws(() => planAppend([columns]), NotionValidationError);
+});
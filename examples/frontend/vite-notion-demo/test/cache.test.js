@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCachePlugin } from '../src/utils/cache.js';
+import { createTestClient } from './helpers/client.js';
+
+const PARENT_ID = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const CHILD_ID = '6f5e4d3c-2b1a-4f9e-8d7c-6b5a4f3e2d1c';
+
+/**
+ * Client backed by an in-memory page whose children can be listed, created, updated and deleted
+ */
+function createClient() {
+  const parent = { type: 'page_id', page_id: PARENT_ID };
+  const children = new Map([[CHILD_ID, { object: 'block', id: CHILD_ID, type: 'paragraph', parent }]]);
+
+  const client = createTestClient(({ method, resource, id, child, body }) => {
+    if (method === 'GET' && child === 'children') {
+      return { object: 'list', results: [...children.values()], has_more: false, next_cursor: null };
+    }
+    if (method === 'POST' && resource === 'pages') {
+      const page = { object: 'page', id: '00000000-0000-4000-8000-000000000001', parent: body.parent };
+      children.set(page.id, { object: 'block', id: page.id, type: 'child_page', parent });
+      return page;
+    }
+    const block = { ...children.get(id), archived: method === 'DELETE' || body?.archived === true };
+    if (block.archived) {
+      children.delete(id);
+    }
+    return block;
+  });
+  client.api.use(createCachePlugin());
+  return client;
+}
+
+const childIds = async (api) => (await api.getBlockChildren(PARENT_ID)).results.map(block => block.id);
+
+test('deleting a block drops its parent\'s cached children', async () => {
+  const { api, requests } = createClient();
+  assert.deepEqual(await childIds(api), [CHILD_ID]);
+  assert.deepEqual(await childIds(api), [CHILD_ID]);
+  assert.equal(requests.length, 1);
+
+  await api.deleteBlock(CHILD_ID);
+  assert.deepEqual(await childIds(api), []);
+  assert.equal(requests.length, 3);
+});
+
+test('archiving a page drops its parent\'s cached children', async () => {
+  const { api } = createClient();
+  await childIds(api);
+  await api.archivePage(CHILD_ID);
+  assert.deepEqual(await childIds(api), []);
+});
+
+test('creating a page drops the cached children of the parent named in the request', async () => {
+  const { api } = createClient();
+  await childIds(api);
+  const page = await api.createPage({ page_id: PARENT_ID }, {});
+  assert.deepEqual(await childIds(api), [CHILD_ID, page.id]);
+});
+
+/**
+ * Let pending requests reach the adapter
+ */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Client answering getPage with the number of the request; the first answer waits for release()
+ */
+function createGatedClient() {
+  let sent = 0;
+  let release;
+  const gate = new Promise(resolve => {
+    release = resolve;
+  });
+  const { api, requests } = createTestClient(async () => {
+    const version = ++sent;
+    if (version === 1) {
+      await gate;
+    }
+    return { object: 'page', id: CHILD_ID, version };
+  });
+  return { api, requests, release };
+}
+
+test('a read with cache: false does not join an identical read in flight', async () => {
+  const { api, requests, release } = createGatedClient();
+  api.use(createCachePlugin());
+
+  const earlier = api.getPage(CHILD_ID);
+  await settle();
+  const fresh = api.getPage(CHILD_ID, { cache: false });
+  await settle();
+  release();
+
+  assert.equal((await earlier).version, 1);
+  assert.equal((await fresh).version, 2);
+  assert.equal(requests.length, 2);
+});
+
+test('clear() keeps a read in flight out of the cache', async () => {
+  const { api, requests, release } = createGatedClient();
+  const cache = createCachePlugin();
+  api.use(cache);
+
+  const earlier = api.getPage(CHILD_ID);
+  await settle();
+  await cache.clear();
+  const later = api.getPage(CHILD_ID);
+  await settle();
+  release();
+
+  assert.equal((await earlier).version, 1);
+  assert.equal((await later).version, 2);
+  assert.equal((await api.getPage(CHILD_ID)).version, 2);
+  assert.equal(requests.length, 2);
+});
+
+test('a persisted response moves to memory with the expiry it has left', async () => {
+  const persisted = new Map();
+  const store = {
+    async get(key) {
+      return persisted.get(key) ?? null;
+    },
+    async set(key, value, ttl) {
+      persisted.set(key, { value, expires: Date.now() + ttl });
+    },
+    async remove(key) {
+      persisted.delete(key);
+    },
+    async keys() {
+      return [...persisted.keys()];
+    }
+  };
+  const first = createTestClient(() => ({ object: 'page', id: CHILD_ID, version: 1 }));
+  first.api.use(createCachePlugin({ store, ttl: { 'GET /pages/:id': 100 } }));
+  await first.api.getPage(CHILD_ID);
+
+  // A later session starts when the persisted response is about to expire
+  await new Promise(resolve => setTimeout(resolve, 60));
+  const second = createTestClient(() => ({ object: 'page', id: CHILD_ID, version: 2 }));
+  second.api.use(createCachePlugin({ store, ttl: { 'GET /pages/:id': 100 } }));
+  assert.equal((await second.api.getPage(CHILD_ID)).version, 1);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal((await second.api.getPage(CHILD_ID)).version, 2);
+  assert.deepEqual(second.requests, [`GET /pages/${CHILD_ID}`]);
+});
+
+test('a read sharing a request in flight rejects as soon as its own signal aborts', async () => {
+  const { api, requests, release } = createGatedClient();
+  api.use(createCachePlugin());
+  const controller = new AbortController();
+
+  const earlier = api.getPage(CHILD_ID);
+  await settle();
+  const shared = api.getPage(CHILD_ID, { signal: controller.signal });
+  await settle();
+  controller.abort();
+
+  await assert.rejects(shared, { name: 'NotionAbortError' });
+  release();
+  assert.equal((await earlier).version, 1);
+  assert.equal(requests.length, 1);
+});
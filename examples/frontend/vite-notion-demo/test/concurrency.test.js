@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPropertyMerge, guardUpdate } from '../src/utils/concurrency.js';
+import { NotionConflictError, NotionValidationError } from '../src/utils/errors.js';
+import { createTestClient } from './helpers/client.js';
+
+const PAGE_ID = '4d5e6f70-8a9b-4c0d-9e1f-2a3b4c5d6e7f';
+const READ_AT = '2024-05-01T12:00:00.000Z';
+
+const text = (content) => ({ id: 'txt', type: 'rich_text', rich_text: [{ plain_text: content }] });
+const select = (name) => ({ id: 'sts', type: 'select', select: { name } });
+
+/**
+ * Page as a read returns it
+ */
+function page(lastEdited, properties) {
+  return { object: 'page', id: PAGE_ID, last_edited_time: lastEdited, properties };
+}
+
+const base = page(READ_AT, { Notes: text('draft'), Status: select('Open') });
+const mine = { Status: { select: { name: 'Done' } } };
+
+test('guardUpdate refuses an update when the page was edited after the given time', async () => {
+  const current = page('2024-05-01T12:05:00.000Z', base.properties);
+  await assert.rejects(guardUpdate(async () => current, mine, { ifUnmodifiedSince: READ_AT }), (error) => {
+    assert.ok(error instanceof NotionConflictError);
+    assert.equal(error.current, current);
+    assert.deepEqual(error.changes, mine);
+    return true;
+  });
+});
+
+test('guardUpdate passes the changes through when the page was not edited since', async () => {
+  const read = async () => base;
+  assert.equal(await guardUpdate(read, mine, { ifUnmodifiedSince: READ_AT }), mine);
+  assert.equal(await guardUpdate(read, mine, { ifUnmodifiedSince: new Date(READ_AT) }), mine);
+  assert.equal(await guardUpdate(read, mine, { ifUnmodifiedSince: base }), mine);
+});
+
+test('guardUpdate catches a same-minute edit of a written property when given the base page', async () => {
+  const current = page(READ_AT, { Notes: text('draft'), Status: select('Blocked') });
+  const read = async () => current;
+
+  // The timestamp alone cannot tell the edit apart
+  assert.equal(await guardUpdate(read, mine, { ifUnmodifiedSince: READ_AT }), mine);
+  await assert.rejects(guardUpdate(read, mine, { ifUnmodifiedSince: base }), NotionConflictError);
+
+  // An edit of a property the update does not write is no conflict
+  const other = page(READ_AT, { Notes: text('reviewed'), Status: select('Open') });
+  assert.equal(await guardUpdate(async () => other, mine, { ifUnmodifiedSince: base }), mine);
+});
+
+test('createPropertyMerge writes unchanged properties and lets resolve settle a conflict', async () => {
+  // Someone else edited Notes; this update writes Status and Notes
+  const current = page('2024-05-01T12:05:00.000Z', { Notes: text('reviewed'), Status: select('Open') });
+  const changes = { ...mine, Notes: { rich_text: [{ text: { content: 'final' } }] } };
+  const resolve = (name, { current: theirs }) => (name === 'Notes' ? { rich_text: theirs.rich_text } : undefined);
+  const options = { ifUnmodifiedSince: base, merge: createPropertyMerge({ resolve }) };
+
+  assert.deepEqual(await guardUpdate(async () => current, changes, options), {
+    Status: mine.Status,
+    Notes: { rich_text: current.properties.Notes.rich_text }
+  });
+});
+
+test('createPropertyMerge fails on a property both sides changed', async () => {
+  const current = page('2024-05-01T12:05:00.000Z', { Notes: text('reviewed'), Status: select('Blocked') });
+  const options = { ifUnmodifiedSince: base, merge: createPropertyMerge() };
+
+  await assert.rejects(guardUpdate(async () => current, mine, options), (error) => {
+    assert.ok(error instanceof NotionConflictError);
+    assert.deepEqual(error.conflicts, ['Status']);
+    return true;
+  });
+});
+
+test('guardUpdate rejects an ifUnmodifiedSince it cannot compare, before reading', async () => {
+  let reads = 0;
+  const read = async () => {
+    reads++;
+    return base;
+  };
+
+  for (const ifUnmodifiedSince of ['yesterday', '2024-13-45T00:00:00Z', new Date('typo'), {}, 1714564800000, '']) {
+    await assert.rejects(guardUpdate(read, mine, { ifUnmodifiedSince }), NotionValidationError);
+  }
+  assert.equal(reads, 0);
+});
+
+test('updatePage with a mistyped ifUnmodifiedSince sends nothing', async () => {
+  const { api, requests } = createTestClient(() => base);
+  await assert.rejects(api.updatePage(PAGE_ID, mine, null, { ifUnmodifiedSince: '2024-05-0l' }), NotionValidationError);
+  assert.deepEqual(requests, []);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AxiosError } from 'axios';
+
+import { coerceCell, importCsv, parseCsv } from '../src/utils/csvImport.js';
+import { NotionValidationError } from '../src/utils/errors.js';
+import { createTestClient, responseError } from './helpers/client.js';
+
+const number = { type: 'number', number: { format: 'number' } };
+const percent = { type: 'number', number: { format: 'percent' } };
+
+test('coerceCell reads numbers with thousands separators, currency symbols and percentages', async () => {
+  assert.equal(await coerceCell('1,234.5', number), 1234.5);
+  assert.equal(await coerceCell(' $12 ', number), 12);
+  assert.equal(await coerceCell('-1,234', number), -1234);
+  assert.equal(await coerceCell('15%', percent), 0.15);
+  assert.equal(await coerceCell('15%', number), 15);
+  assert.equal(await coerceCell('', number), null);
+});
+
+test('coerceCell rejects number cells with no digits instead of reading them as 0', async () => {
+  for (const text of ['$', '%', ',', '€ ']) {
+    await assert.rejects(coerceCell(text, number), NotionValidationError);
+  }
+});
+
+test('coerceCell rejects separators that do not match the decimal option', async () => {
+  for (const text of ['1.234,56', '1,5', '12,34,567', '1.2.3']) {
+    await assert.rejects(coerceCell(text, number), { name: 'NotionValidationError' }, text);
+  }
+  assert.equal(await coerceCell('1.234,56', number, null, { decimal: ',' }), 1234.56);
+  assert.equal(await coerceCell('1 234,5', number, null, { decimal: ',' }), 1234.5);
+  await assert.rejects(coerceCell('1,234.56', number, null, { decimal: ',' }), NotionValidationError);
+});
+
+test('coerceCell reads checkboxes, dates, statuses, emails and lists', async () => {
+  const status = { type: 'status', status: { options: [{ name: 'Open' }, { name: 'Done' }] } };
+
+  assert.equal(await coerceCell('Yes', { type: 'checkbox' }), true);
+  assert.equal(await coerceCell('', { type: 'checkbox' }), false);
+  await assert.rejects(coerceCell('maybe', { type: 'checkbox' }), NotionValidationError);
+
+  assert.deepEqual(await coerceCell('2024-03-14 → 2024-03-16', { type: 'date' }), {
+    start: '2024-03-14',
+    end: '2024-03-16'
+  });
+  await assert.rejects(coerceCell('someday', { type: 'date' }), NotionValidationError);
+
+  assert.equal(await coerceCell('Done', status), 'Done');
+  await assert.rejects(coerceCell('Blocked', status), NotionValidationError);
+
+  assert.equal(await coerceCell('ada@example.com', { type: 'email' }), 'ada@example.com');
+  await assert.rejects(coerceCell('ada at example', { type: 'email' }), NotionValidationError);
+
+  assert.deepEqual(await coerceCell('a, b,,c', { type: 'multi_select' }), ['a', 'b', 'c']);
+  assert.equal(await coerceCell('  kept as typed ', { type: 'rich_text' }), '  kept as typed ');
+});
+
+test('parseCsv reads quoted fields, CRLF line endings and a byte order mark', () => {
+  const text = '\uFEFFName,Notes\r\n"Smith, Ada","said ""hi""\r\nthen left"\r\n\r\nBob,\r\n';
+  assert.deepEqual(parseCsv(text), {
+    headers: ['Name', 'Notes'],
+    rows: [
+      { line: 2, values: { Name: 'Smith, Ada', Notes: 'said "hi"\r\nthen left' } },
+      { line: 5, values: { Name: 'Bob', Notes: '' } }
+    ]
+  });
+});
+
+test('parseCsv detects semicolon delimiters and rejects an unterminated quote', () => {
+  assert.deepEqual(parseCsv('Name;Amount\nAda;1.234,5').rows[0].values, { Name: 'Ada', Amount: '1.234,5' });
+  assert.throws(() => parseCsv('Name\n"Ada\nBob'), {
+    name: 'NotionValidationError',
+    message: 'Unterminated quoted field starting on line 2'
+  });
+});
+
+const DATABASE_ID = '5e6f7081-9a0b-4c1d-8e2f-3a4b5c6d7e8f';
+
+/**
+ * Client for a database with Name and Amount; creates listed in failures throw instead of answering
+ * @param {Object} failures - { [name]: (request) => error }
+ */
+function createImportClient(failures = {}) {
+  const created = [];
+  const client = createTestClient((request) => {
+    if (request.method === 'GET' && request.resource === 'databases') {
+      const properties = { Name: { type: 'title', title: {} }, Amount: { type: 'number', number: {} } };
+      return { object: 'database', id: DATABASE_ID, properties };
+    }
+    const name = request.body.properties.Name.title[0].text.content;
+    if (failures[name]) {
+      throw failures[name](request);
+    }
+    created.push(name);
+    return { object: 'page', id: `page-${created.length}` };
+  });
+  return { ...client, created };
+}
+
+const csv = 'Name,Amount\nAda,1\nBob,2\nCy,3\n';
+
+test('importCsv stops on a server error without retrying the create, and resumes from nextRow', async () => {
+  const { api, requests, created } = createImportClient({ Bob: (request) => responseError(request, 502) });
+
+  const error = await importCsv(api, DATABASE_ID, csv).catch(caught => caught);
+  assert.equal(error.status, 502);
+  assert.equal(error.partialResult.nextRow, 1);
+  assert.equal(error.partialResult.created, 1);
+  assert.equal(requests.filter(request => request.startsWith('POST')).length, 2);
+
+  const { api: retry, created: resumed } = createImportClient();
+  const report = await importCsv(retry, DATABASE_ID, csv, { startRow: error.partialResult.nextRow });
+  assert.deepEqual([...created, ...resumed], ['Ada', 'Bob', 'Cy']);
+  assert.equal(report.created, 2);
+  assert.equal(report.nextRow, 3);
+});
+
+test('importCsv does not retry a create that timed out', async () => {
+  const timeout = (request) => new AxiosError('timeout of 30000ms exceeded', 'ECONNABORTED', request.config);
+  const { api, requests } = createImportClient({ Ada: timeout });
+
+  const error = await importCsv(api, DATABASE_ID, csv).catch(caught => caught);
+  assert.equal(error.code, 'timeout');
+  assert.equal(error.partialResult.nextRow, 0);
+  assert.equal(requests.filter(request => request.startsWith('POST')).length, 1);
+});
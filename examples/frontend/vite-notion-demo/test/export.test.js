@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cellText, exportDatabase, serializeRows } from '../src/utils/export.js';
+import { createTestClient } from './helpers/client.js';
+
+const DATABASE_ID = 'a3b4c5d6-e7f8-4091-a2b3-c4d5e6f70819';
+
+test('cellText flattens lists, dates, files and names', () => {
+  assert.equal(cellText(['a', null, 'b']), 'a, b');
+  assert.equal(cellText({ start: '2024-03-14', end: '2024-03-16' }), '2024-03-14 → 2024-03-16');
+  assert.equal(cellText({ start: '2024-03-14', end: null }), '2024-03-14');
+  assert.equal(cellText({ name: 'spec.pdf', url: 'https://files.example.com/spec.pdf' }), 'https://files.example.com/spec.pdf');
+  assert.equal(cellText({ id: 'u1', name: 'Ada' }), 'Ada');
+  assert.equal(cellText(false), 'false');
+  assert.equal(cellText(undefined), '');
+});
+
+test('serializeRows quotes cells with separators, quotes, line breaks and edge spaces', () => {
+  const rows = [{ id: 'p1', url: null, values: { Name: 'Smith, Ada', Notes: 'said "hi"\nbye', Tag: ' padded' } }];
+  assert.equal(
+    serializeRows(rows, ['Name', 'Notes', 'Tag']),
+    'Name,Notes,Tag\n"Smith, Ada","said ""hi""\nbye"," padded"'
+  );
+});
+
+test('serializeRows writes a BOM, CRLF line endings and formula-safe cells for Excel', () => {
+  const rows = [
+    { id: 'p1', url: null, values: { Name: '=1+1', Amount: -5 } },
+    { id: 'p2', url: null, values: { Name: '@SUM(A1)', Amount: '+3' } },
+    { id: 'p3', url: null, values: { Name: '-cmd|calc', Amount: '1e3' } }
+  ];
+  assert.equal(
+    serializeRows(rows, ['Name', 'Amount'], 'excel'),
+    '\uFEFFName,Amount\r\n\'=1+1,-5\r\n\'@SUM(A1),+3\r\n\'-cmd|calc,1e3'
+  );
+  // Plain CSV keeps cells as they are
+  assert.equal(serializeRows(rows.slice(0, 1), ['Name'], 'csv'), 'Name\n=1+1');
+});
+
+test('serializeRows writes JSON Lines with typed values', () => {
+  const rows = [{ id: 'p1', url: 'https://notion.so/p1', values: { Name: 'Ada', Tags: ['a', 'b'], Done: true } }];
+  assert.equal(
+    serializeRows(rows, ['Name'], 'jsonl'),
+    '{"id":"p1","url":"https://notion.so/p1","Name":"Ada","Tags":["a","b"],"Done":true}'
+  );
+});
+
+test('exportDatabase expands relations and people the query response truncated', async () => {
+  const ids = Array.from({ length: 30 }, (_, index) => `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`);
+  const users = ids.slice(0, 27).map((id, index) => ({ object: 'user', id, name: `User ${index}` }));
+  const page = {
+    object: 'page',
+    id: 'b4c5d6e7-f809-41a2-b3c4-d5e6f708192a',
+    url: 'https://notion.so/row',
+    properties: {
+      Name: { id: 'title', type: 'title', title: [{ plain_text: 'Row' }] },
+      Related: { id: 'rel', type: 'relation', relation: ids.slice(0, 25).map(id => ({ id })), has_more: true },
+      Team: { id: 'team', type: 'people', people: users.slice(0, 25), has_more: true }
+    }
+  };
+
+  const { api } = createTestClient(({ method, resource, id, child, url }) => {
+    if (resource === 'databases' && method === 'GET') {
+      const properties = {
+        Related: { id: 'rel', type: 'relation', relation: {} },
+        Team: { id: 'team', type: 'people', people: {} },
+        Name: { id: 'title', type: 'title', title: {} }
+      };
+      return { object: 'database', id: DATABASE_ID, title: [{ plain_text: 'Rows' }], properties };
+    }
+    if (child === 'query') {
+      return { object: 'list', results: [page], has_more: false, next_cursor: null };
+    }
+    if (url.endsWith('/properties/rel')) {
+      const results = ids.map(related => ({ object: 'property_item', type: 'relation', relation: { id: related } }));
+      return { object: 'list', results, has_more: false, next_cursor: null };
+    }
+    if (url.endsWith('/properties/team')) {
+      const results = users.map(user => ({ object: 'property_item', type: 'people', people: user }));
+      return { object: 'list', results, has_more: false, next_cursor: null };
+    }
+    const title = [{ plain_text: `Task ${ids.indexOf(id)}` }];
+    return { object: 'page', id, properties: { Name: { type: 'title', title } } };
+  });
+
+  const result = await exportDatabase(api, DATABASE_ID, { format: 'jsonl' });
+  const row = JSON.parse(result.content);
+  assert.deepEqual(result.columns, ['Name', 'Related', 'Team']);
+  assert.equal(result.filename, 'rows.jsonl');
+  assert.deepEqual(row.Related, ids.map((_, index) => `Task ${index}`));
+  assert.deepEqual(row.Team, users.map(user => user.name));
+});
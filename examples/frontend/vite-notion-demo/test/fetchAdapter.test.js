@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import axios, { AxiosError } from 'axios';
+
+import { NotionAPI } from '../src/utils/api.js';
+import { createFetchAdapter } from '../src/utils/fetchAdapter.js';
+
+const PAGE_ID = '708192a3-b4c5-4d6e-8f70-8192a3b4c5d6';
+
+/**
+ * fetch stand-in answering with handler(init, call); calls lists every { url, method, headers, body, signal }
+ */
+function stubFetch(handler) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, ...init });
+    return handler(init, calls.length);
+  };
+  return { fetchImpl, calls };
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: { 'content-type': 'application/json' } });
+}
+
+/**
+ * Promise that settles only when the fetch is aborted, rejecting like fetch does
+ */
+function untilAborted(init) {
+  return new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')));
+  });
+}
+
+function createClient(fetchImpl, options = {}) {
+  return axios.create({ baseURL: 'https://api.test/v1', adapter: createFetchAdapter(fetchImpl), ...options });
+}
+
+test('the adapter sends the serialized request and returns the parsed response', async () => {
+  const { fetchImpl, calls } = stubFetch(() => jsonResponse({ ok: true }));
+  const response = await createClient(fetchImpl).post('/pages', { title: 'Hi' }, {
+    params: { page_size: 10 },
+    headers: { 'X-Test': '1' }
+  });
+
+  assert.deepEqual(response.data, { ok: true });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers['content-type'], 'application/json');
+  assert.equal(calls[0].url, 'https://api.test/v1/pages?page_size=10');
+  assert.equal(calls[0].method, 'POST');
+  assert.equal(calls[0].headers['X-Test'], '1');
+  assert.equal(calls[0].body, '{"title":"Hi"}');
+});
+
+test('a timeout aborts the fetch and rejects with ECONNABORTED', async () => {
+  const { fetchImpl, calls } = stubFetch(untilAborted);
+
+  await assert.rejects(createClient(fetchImpl, { timeout: 20 }).get('/pages'), (error) => {
+    assert.ok(error instanceof AxiosError);
+    assert.equal(error.code, AxiosError.ECONNABORTED);
+    assert.equal(error.message, 'timeout of 20ms exceeded');
+    return true;
+  });
+  assert.equal(calls[0].signal.aborted, true);
+});
+
+test('a timeout while the body is still streaming rejects with ECONNABORTED', async () => {
+  const { fetchImpl } = stubFetch((init) => ({
+    status: 200,
+    statusText: 'OK',
+    headers: new Headers(),
+    text: () => untilAborted(init)
+  }));
+
+  await assert.rejects(createClient(fetchImpl, { timeout: 20 }).get('/pages'), { code: AxiosError.ECONNABORTED });
+});
+
+test('aborting the signal rejects with a CanceledError, before or during the fetch', async () => {
+  const { fetchImpl, calls } = stubFetch(untilAborted);
+  const client = createClient(fetchImpl);
+
+  const controller = new AbortController();
+  const pending = client.get('/pages', { signal: controller.signal });
+  setTimeout(() => controller.abort(), 5);
+  await assert.rejects(pending, (error) => {
+    assert.ok(error instanceof axios.CanceledError);
+    assert.ok(axios.isCancel(error));
+    return true;
+  });
+  assert.equal(calls[0].signal.aborted, true);
+
+  await assert.rejects(client.get('/pages', { signal: AbortSignal.abort() }), axios.CanceledError);
+  assert.equal(calls.length, 1);
+});
+
+test('a network failure rejects with ERR_NETWORK', async () => {
+  const { fetchImpl } = stubFetch(() => {
+    throw new TypeError('fetch failed');
+  });
+
+  await assert.rejects(createClient(fetchImpl).get('/pages'), { code: AxiosError.ERR_NETWORK });
+});
+
+test('statuses outside validateStatus reject with the response attached', async () => {
+  const { fetchImpl } = stubFetch((init, call) => (call === 1
+    ? jsonResponse({ object: 'error', code: 'object_not_found' }, 404)
+    : jsonResponse({ object: 'error', code: 'service_unavailable' }, 503)));
+  const client = createClient(fetchImpl);
+
+  await assert.rejects(client.get('/pages/missing'), (error) => {
+    assert.equal(error.code, AxiosError.ERR_BAD_REQUEST);
+    assert.equal(error.response.status, 404);
+    assert.equal(error.response.data.code, 'object_not_found');
+    return true;
+  });
+  await assert.rejects(client.get('/pages'), (error) => {
+    assert.equal(error.code, AxiosError.ERR_BAD_RESPONSE);
+    assert.equal(error.response.status, 503);
+    return true;
+  });
+
+  const { fetchImpl: accepting } = stubFetch(() => jsonResponse({ object: 'error' }, 404));
+  const response = await createClient(accepting, { validateStatus: status => status < 500 }).get('/pages');
+  assert.equal(response.status, 404);
+});
+
+test('NotionAPI retries a fetch that timed out and one that answered 503', async () => {
+  const { fetchImpl, calls } = stubFetch((init, call) => {
+    if (call === 1) {
+      return untilAborted(init);
+    }
+    return call === 2 ? jsonResponse({}, 503) : jsonResponse({ object: 'page', id: PAGE_ID });
+  });
+  const api = new NotionAPI({ fetch: fetchImpl, timeout: 20 });
+  api.setRateLimit({ rate: 1000, burst: 1000 });
+  api.setRetryPolicy({ jitter: false });
+  api.delay = async () => {};
+
+  assert.equal((await api.getPage(PAGE_ID)).id, PAGE_ID);
+  assert.equal(calls.length, 3);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { matchCriteria } from '../src/utils/filterBuilder.js';
+import { fromNotionProperty } from '../src/utils/properties.js';
+
+const USER_ID = '3f1a2b4c-5d6e-4f70-8a9b-0c1d2e3f4a5b';
+const PAGE_ID = '9a8b7c6d-5e4f-4a3b-9c2d-1e0f9a8b7c6d';
+
+const database = {
+  properties: {
+    Owner: { id: 'own', type: 'people', people: {} },
+    Project: { id: 'prj', type: 'relation', relation: {} },
+    Tags: { id: 'tag', type: 'multi_select', multi_select: {} }
+  }
+};
+
+const page = {
+  properties: {
+    Owner: {
+      id: 'own',
+      type: 'people',
+      people: [{ object: 'user', id: USER_ID, name: 'Ada', type: 'person', person: { email: 'ada@example.com' } }]
+    },
+    Project: { id: 'prj', type: 'relation', relation: [{ id: PAGE_ID }], has_more: false },
+    Tags: { id: 'tag', type: 'multi_select', multi_select: [{ id: 'opt1', name: 'urgent', color: 'red' }] }
+  }
+};
+
+/**
+ * Criteria read back from a page, as a caller would build them from an existing entry
+ */
+function criteriaFrom(names) {
+  return Object.fromEntries(names.map(name => [name, fromNotionProperty(page.properties[name])]));
+}
+
+test('matchCriteria matches people read back from a page by user id', () => {
+  assert.deepEqual(matchCriteria(criteriaFrom(['Owner']), database).build(), {
+    and: [{ property: 'Owner', people: { contains: USER_ID } }]
+  });
+});
+
+test('matchCriteria matches relations and multi-select options read back from a page', () => {
+  assert.deepEqual(matchCriteria(criteriaFrom(['Project', 'Tags']), database).build(), {
+    and: [
+      { property: 'Project', relation: { contains: PAGE_ID } },
+      { property: 'Tags', multi_select: { contains: 'urgent' } }
+    ]
+  });
+});
+
+test('matchCriteria accepts user and page objects for people and relations', () => {
+  const criteria = { Owner: [{ id: USER_ID, name: 'Ada' }], Project: { id: PAGE_ID } };
+  const filter = matchCriteria(criteria, database).build();
+  assert.deepEqual(filter.and.map(condition => Object.values(condition)[1].contains), [USER_ID, PAGE_ID]);
+});
@@ -0,0 +1,56 @@
+/**
+ * Test Client
+ * NotionAPI fixtures whose requests are answered in memory instead of by the Notion API
+ */
+
+import { AxiosError } from 'axios';
+import { NotionAPI } from '../../src/utils/api.js';
+
+/**
+ * Split a request config the way handlers read it: /blocks/:id/children gives { resource, id, child }
+ */
+function describeRequest(config) {
+  const [, resource, id = null, child = null] = config.url.split('?')[0].split('/');
+  return {
+    method: config.method.toUpperCase(),
+    url: config.url,
+    resource,
+    id,
+    child,
+    params: config.params ?? null,
+    body: typeof config.data === 'string' ? JSON.parse(config.data) : config.data ?? null,
+    config
+  };
+}
+
+/**
+ * Error for a handler to throw to answer with a non-2xx status, as axios raises it
+ */
+export function responseError(request, status, data = {}, headers = {}) {
+  const response = { data, status, statusText: String(status), headers, config: request.config };
+  const code = status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+  return new AxiosError(`Request failed with status code ${status}`, code, request.config, null, response);
+}
+
+/**
+ * Client whose requests are answered by respond(request), without rate limiting
+ * respond gets { method, url, resource, id, child, params, body, config } and returns the response data or
+ * throws (see responseError); requests lists the calls sent as 'METHOD /url'
+ * @param {Function} respond - Request handler
+ * @param {Object} options - NotionAPI options
+ * @returns {Object} { api, requests }
+ */
+export function createTestClient(respond, options = {}) {
+  const requests = [];
+  const api = new NotionAPI({
+    ...options,
+    adapter: async (config) => {
+      const request = describeRequest(config);
+      requests.push(`${request.method} ${request.url}`);
+      const data = await respond(request);
+      return { data, status: 200, statusText: 'OK', headers: {}, config };
+    }
+  });
+  api.setRateLimit({ rate: 1000, burst: 1000 });
+  return { api, requests };
+}
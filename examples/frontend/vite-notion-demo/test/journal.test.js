@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NotionError } from '../src/utils/errors.js';
+import { createTestClient } from './helpers/client.js';
+
+const PAGE_ID = '2b3c4d5e-6f70-4a8b-9c0d-1e2f3a4b5c6d';
+
+/**
+ * Related page ids, as many as a relation holds
+ */
+function relatedIds(count) {
+  return Array.from({ length: count }, (_, index) => `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`);
+}
+
+/**
+ * Client backed by one page with a relation longer than a page response holds and an uploaded file
+ */
+function createClient() {
+  const related = relatedIds(30);
+  const page = {
+    object: 'page',
+    id: PAGE_ID,
+    archived: false,
+    properties: {
+      Related: { id: 'rel', type: 'relation', relation: related.slice(0, 25).map(id => ({ id })), has_more: true },
+      Attachment: {
+        id: 'att',
+        type: 'files',
+        files: [{ name: 'spec.pdf', type: 'file', file: { url: 'https://files.example.com/spec.pdf' } }]
+      }
+    }
+  };
+  const writes = [];
+
+  const { api } = createTestClient(({ method, url, body }) => {
+    if (method === 'GET' && url.endsWith('/properties/rel')) {
+      const results = related.map(id => ({ object: 'property_item', type: 'relation', relation: { id } }));
+      return { object: 'list', results, has_more: false, next_cursor: null };
+    }
+    if (method === 'PATCH') {
+      writes.push(body);
+    }
+    return page;
+  });
+  return { api, related, writes };
+}
+
+test('rollback restores a relation past 25 items and reports uploaded files as unrestorable', async () => {
+  const { api, related, writes } = createClient();
+  const changes = { Related: { relation: [] }, Attachment: { files: [] } };
+
+  const error = await api.transaction(async (tx) => {
+    await tx.updatePage(PAGE_ID, changes);
+    throw new Error('later step failed');
+  }).catch(caught => caught);
+
+  assert.equal(error.message, 'later step failed');
+  assert.deepEqual(error.rollback, { compensated: 0, partial: 1, failed: 0, manual: 0 });
+  assert.deepEqual(writes[1], { properties: { Related: { relation: related.map(id => ({ id })) } } });
+
+  const [entry] = error.journal.entries;
+  assert.equal(entry.status, 'partial');
+  assert.deepEqual(entry.unrestorable.map(skipped => skipped.name), ['Attachment']);
+});
+
+test('an update that only writes uploaded files is left to manual recovery', async () => {
+  const { api, writes } = createClient();
+
+  const error = await api.transaction(async (tx) => {
+    await tx.updatePage(PAGE_ID, { Attachment: { files: [] } });
+    throw new Error('later step failed');
+  }).catch(caught => caught);
+
+  assert.deepEqual(error.rollback, { compensated: 0, partial: 0, failed: 0, manual: 1 });
+  assert.equal(writes.length, 1);
+});
+
+test('a workflow that throws a primitive still rolls back and reports it', async () => {
+  const { api, writes } = createClient();
+
+  const error = await api.transaction(async (tx) => {
+    await tx.updatePage(PAGE_ID, { Related: { relation: [] } });
+    throw 'abort';
+  }).catch(caught => caught);
+
+  assert.ok(error instanceof NotionError);
+  assert.equal(error.message, 'abort');
+  assert.equal(error.cause, 'abort');
+  assert.deepEqual(error.rollback, { compensated: 1, partial: 0, failed: 0, manual: 0 });
+  assert.equal(error.journal.entries[0].status, 'compensated');
+  assert.equal(writes.length, 2);
+});
+
+test('aborting a journaled update stops its snapshot reads', async () => {
+  const controller = new AbortController();
+  const { api, requests } = createTestClient(({ method, url, params }) => {
+    if (method === 'GET' && url.endsWith('/properties/rel')) {
+      // The first page of the relation arrives as the caller gives up
+      controller.abort();
+      const cursor = String(Number(params.start_cursor ?? 0) + 1);
+      return { object: 'list', results: [], has_more: true, next_cursor: cursor };
+    }
+    return {
+      object: 'page',
+      id: PAGE_ID,
+      properties: { Related: { id: 'rel', type: 'relation', relation: [], has_more: true } }
+    };
+  });
+
+  const error = await api.transaction(async (tx) => {
+    await tx.updatePage(PAGE_ID, { Related: { relation: [] } }, null, { signal: controller.signal });
+  }).catch(caught => caught);
+
+  assert.equal(error.name, 'NotionAbortError');
+  assert.deepEqual(requests, [`GET /pages/${PAGE_ID}`, `GET /pages/${PAGE_ID}/properties/rel`]);
+});
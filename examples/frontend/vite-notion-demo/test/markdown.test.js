@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LIMITS, createImageBlock } from '../src/utils/blocks.js';
+import { NotionValidationError } from '../src/utils/errors.js';
+import { markdownToBlocks } from '../src/utils/markdown.js';
+import { blocksToMarkdown } from '../src/utils/renderer.js';
+
+const DOCUMENT = `# Release notes
+
+Some **bold**, _italic_, ~~struck~~ and \`code\` with a [link](https://example.com).
+
+- one
+- two
+  - nested
+- [x] done
+
+> quoted text
+
+1. first
+2. second
+
+\`\`\`javascript
+const a = 1;
+\`\`\`
+
+| Name | Count |
+| --- | --- |
+| a | 1 |
+
+![Diagram](https://example.com/diagram.png)
+
+---
+
+$$
+e = mc^2
+$$`;
+
+function plainText(block) {
+  return block[block.type].rich_text.map(item => item.text.content).join('');
+}
+
+test('markdownToBlocks round-trips a document through blocksToMarkdown', () => {
+  const blocks = markdownToBlocks(DOCUMENT);
+  assert.deepEqual(blocks.map(block => block.type), [
+    'heading_1', 'paragraph', 'bulleted_list_item', 'bulleted_list_item', 'to_do', 'quote', 'numbered_list_item',
+    'numbered_list_item', 'code', 'table', 'image', 'divider', 'equation'
+  ]);
+  assert.equal(blocksToMarkdown(blocks), DOCUMENT);
+  assert.deepEqual(markdownToBlocks(blocksToMarkdown(blocks)), blocks);
+});
+
+test('markdownToBlocks keeps inline formatting and links through a round trip', () => {
+  const markdown = 'Some **bold**, _italic_ and `code` with [docs](https://example.com/x) and ~~**both**~~';
+  const [paragraph] = markdownToBlocks(markdown);
+  const segments = paragraph.paragraph.rich_text;
+  const flags = ({ annotations }) => ['bold', 'italic', 'strikethrough', 'code'].filter(name => annotations[name]);
+
+  assert.deepEqual(segments.map(item => [item.text.content, flags(item), item.text.link?.url]), [
+    ['Some ', [], undefined],
+    ['bold', ['bold'], undefined],
+    [', ', [], undefined],
+    ['italic', ['italic'], undefined],
+    [' and ', [], undefined],
+    ['code', ['code'], undefined],
+    [' with ', [], undefined],
+    ['docs', [], 'https://example.com/x'],
+    [' and ', [], undefined],
+    ['both', ['bold', 'strikethrough'], undefined]
+  ]);
+  assert.deepEqual(markdownToBlocks(blocksToMarkdown([paragraph])), [paragraph]);
+});
+
+test('markdownToBlocks keeps only the alt text of images without an http(s) URL', () => {
+  const blocks = markdownToBlocks([
+    '![Logo](./logo.png)',
+    '',
+    '![](data:image/png;base64,AAAA)',
+    '',
+    '![Remote](https://example.com/logo.png)'
+  ].join('\n'));
+
+  assert.deepEqual(blocks.map(block => block.type), ['paragraph', 'image']);
+  assert.equal(plainText(blocks[0]), 'Logo');
+  assert.equal(blocks[1].image.external.url, 'https://example.com/logo.png');
+});
+
+test('createImageBlock rejects URLs Notion cannot fetch', () => {
+  ['./logo.png', 'data:image/png;base64,AAAA', 'javascript:alert(1)'].forEach(url => {
+    assert.throws(() => createImageBlock(url), NotionValidationError);
+  });
+});
+
+test('markdownToBlocks continues a paragraph with too many segments in a new paragraph', () => {
+  // Plain and bold words alternate, so every word is its own segment
+  const words = Array.from({ length: 250 }, (_, index) => (index % 2 ? `**w${index}**` : `w${index}`));
+  const blocks = markdownToBlocks(words.join(' '));
+
+  assert.equal(blocks.length, 3);
+  blocks.forEach(block => {
+    assert.equal(block.type, 'paragraph');
+    assert.ok(block.paragraph.rich_text.length <= LIMITS.richTextItems);
+  });
+  const segments = blocks.flatMap(block => block.paragraph.rich_text);
+  assert.equal(segments.length, 250);
+  assert.equal(segments.map(item => item.text.content).join(''), words.join(' ').replace(/\*\*/g, ''));
+});
+
+test('markdownToBlocks splits a long paragraph inside a quote into the quote and its children', () => {
+  const words = Array.from({ length: 60 }, (_, index) => `a **b${index}**`);
+  const [quote, ...rest] = markdownToBlocks(`> ${words.join(' ')}`);
+
+  assert.equal(rest.length, 0);
+  assert.equal(quote.type, 'quote');
+  assert.equal(quote.quote.rich_text.length, LIMITS.richTextItems);
+  assert.deepEqual(quote.quote.children.map(block => block.type), ['paragraph']);
+});
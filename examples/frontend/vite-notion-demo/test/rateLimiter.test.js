@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RateLimiter } from '../src/utils/rateLimiter.js';
+
+/**
+ * Let resolved slots reach their callers (setImmediate is left unmocked)
+ */
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Limiter on a mocked clock that records which requests got a slot, in order
+ */
+function createLimiter(t, options) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const limiter = new RateLimiter(options);
+  const started = [];
+  const releases = {};
+  const request = (name, priority, signal) => limiter.acquire(priority, signal).then(release => {
+    started.push(name);
+    releases[name] = release;
+  });
+  return { limiter, started, releases, request };
+}
+
+test('a full bucket starts a burst at once, then refills at the rate', async (t) => {
+  const { started, request } = createLimiter(t, { rate: 2, burst: 3, maxConcurrent: 10 });
+  ['a', 'b', 'c', 'd', 'e'].forEach(name => request(name));
+  await flush();
+  assert.deepEqual(started, ['a', 'b', 'c']);
+
+  t.mock.timers.tick(499);
+  await flush();
+  assert.equal(started.length, 3);
+
+  t.mock.timers.tick(1);
+  await flush();
+  assert.deepEqual(started, ['a', 'b', 'c', 'd']);
+
+  t.mock.timers.tick(500);
+  await flush();
+  assert.deepEqual(started, ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('tokens earned while idle are capped at the burst size', async (t) => {
+  const { limiter, started, request } = createLimiter(t, { rate: 2, burst: 3, maxConcurrent: 10 });
+  ['a', 'b', 'c'].forEach(name => request(name));
+  await flush();
+  assert.equal(limiter.getMetrics().availableTokens, 0);
+
+  t.mock.timers.tick(60000);
+  ['d', 'e', 'f', 'g'].forEach(name => request(name));
+  await flush();
+  assert.deepEqual(started, ['a', 'b', 'c', 'd', 'e', 'f']);
+});
+
+test('no more than maxConcurrent requests hold a slot at once', async (t) => {
+  const { limiter, started, releases, request } = createLimiter(t, { rate: 100, burst: 100, maxConcurrent: 2 });
+  ['a', 'b', 'c', 'd'].forEach(name => request(name));
+  await flush();
+  assert.deepEqual(started, ['a', 'b']);
+
+  releases.a();
+  // Releasing twice frees one slot only
+  releases.a();
+  await flush();
+  assert.deepEqual(started, ['a', 'b', 'c']);
+  assert.equal(limiter.getMetrics().active, 2);
+});
+
+test('interactive requests start before background ones queued earlier', async (t) => {
+  const { started, releases, request } = createLimiter(t, { rate: 100, burst: 100, maxConcurrent: 1 });
+  request('first');
+  await flush();
+  request('sync-1', 'background');
+  request('sync-2', 'background');
+  request('click', 'interactive');
+  request('unknown-lane', 'urgent');
+  await flush();
+
+  for (const name of ['first', 'click', 'unknown-lane', 'sync-1']) {
+    releases[name]();
+    await flush();
+  }
+  assert.deepEqual(started, ['first', 'click', 'unknown-lane', 'sync-1', 'sync-2']);
+});
+
+test('an aborted request leaves the queue without taking a slot', async (t) => {
+  const { limiter, started, releases, request } = createLimiter(t, { rate: 100, burst: 100, maxConcurrent: 1 });
+  const controller = new AbortController();
+  request('first');
+  const aborted = request('aborted', 'interactive', controller.signal);
+  request('next');
+  await flush();
+
+  controller.abort();
+  await assert.rejects(aborted, { name: 'AbortError' });
+  assert.equal(limiter.getQueueDepth(), 1);
+
+  releases.first();
+  await flush();
+  assert.deepEqual(started, ['first', 'next']);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AxiosError } from 'axios';
+
+import { createTestClient, responseError } from './helpers/client.js';
+
+const PAGE_ID = '708192a3-b4c5-4d6e-8f70-8192a3b4c5d6';
+
+/**
+ * Client that throws failure(request, attempt) until it returns null; backoff waits are recorded, not slept
+ */
+function createRetryClient(failure, policy = {}) {
+  let attempt = 0;
+  const client = createTestClient((request) => {
+    const error = failure(request, ++attempt);
+    if (error) {
+      throw error;
+    }
+    return { object: 'page', id: PAGE_ID };
+  });
+  const delays = [];
+  client.api.delay = async (ms) => {
+    delays.push(ms);
+  };
+  client.api.setRetryPolicy({ jitter: false, ...policy });
+  return { ...client, delays };
+}
+
+test('a Retry-After header in seconds sets the wait', async () => {
+  const { api, delays } = createRetryClient((request, attempt) =>
+    (attempt === 1 ? responseError(request, 429, {}, { 'retry-after': '2' }) : null));
+
+  assert.equal((await api.getPage(PAGE_ID)).id, PAGE_ID);
+  assert.deepEqual(delays, [2000]);
+});
+
+test('a Retry-After header as an HTTP date waits until that time', async () => {
+  const until = new Date(Date.now() + 5000).toUTCString();
+  const { api, delays } = createRetryClient((request, attempt) =>
+    (attempt === 1 ? responseError(request, 503, {}, { 'retry-after': until }) : null));
+
+  await api.getPage(PAGE_ID);
+  assert.equal(delays.length, 1);
+  assert.ok(delays[0] > 3000 && delays[0] <= 5000, `waited ${delays[0]}ms`);
+  assert.equal(api.parseRetryAfter('soon'), null);
+});
+
+test('backoff doubles on every attempt up to maxDelay', async () => {
+  const { api, requests, delays } = createRetryClient(
+    (request) => responseError(request, 503),
+    { maxAttempts: 5, baseDelay: 100, maxDelay: 350 }
+  );
+
+  await assert.rejects(api.getPage(PAGE_ID), { status: 503 });
+  assert.deepEqual(delays, [100, 200, 350, 350]);
+  assert.equal(requests.length, 5);
+});
+
+test('retries stop once the waits would exceed maxTotalDelay', async () => {
+  const { api, requests, delays } = createRetryClient(
+    (request) => responseError(request, 502),
+    { maxAttempts: 5, baseDelay: 100, maxTotalDelay: 250 }
+  );
+
+  await assert.rejects(api.getPage(PAGE_ID), { status: 502 });
+  assert.deepEqual(delays, [100]);
+  assert.equal(requests.length, 2);
+});
+
+test('a timed-out request is retried', async () => {
+  const { api, requests } = createRetryClient((request, attempt) =>
+    (attempt === 1 ? new AxiosError('timeout of 30000ms exceeded', 'ECONNABORTED', request.config) : null));
+
+  assert.equal((await api.getPage(PAGE_ID)).id, PAGE_ID);
+  assert.equal(requests.length, 2);
+});
+
+test('retry: false sends a request once', async () => {
+  const { api, requests, delays } = createRetryClient((request) => responseError(request, 429));
+
+  await assert.rejects(api.getPage(PAGE_ID, { retry: false }), { status: 429 });
+  assert.equal(requests.length, 1);
+  assert.deepEqual(delays, []);
+});
+
+test('aborting during a backoff wait rejects without another attempt', async () => {
+  const controller = new AbortController();
+  const { api, requests } = createTestClient((request) => {
+    setImmediate(() => controller.abort());
+    throw responseError(request, 503);
+  });
+  api.setRetryPolicy({ baseDelay: 60000, jitter: false });
+
+  const started = Date.now();
+  await assert.rejects(api.getPage(PAGE_ID, { signal: controller.signal }), { name: 'NotionAbortError' });
+  assert.ok(Date.now() - started < 5000);
+  assert.equal(requests.length, 1);
+});
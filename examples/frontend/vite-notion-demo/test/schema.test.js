@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCachePlugin } from '../src/utils/cache.js';
+import { diffSchema, formatPlan } from '../src/utils/schema.js';
+import { createTestClient } from './helpers/client.js';
+
+const DATABASE_ID = '6f708192-a0b1-4c2d-9e3f-4a5b6c7d8e9f';
+
+/**
+ * Live database as getDatabase returns it
+ */
+function liveDatabase(overrides = {}) {
+  return {
+    object: 'database',
+    id: DATABASE_ID,
+    title: [{ plain_text: 'Tasks' }],
+    properties: {
+      Name: { id: 'title', type: 'title', title: {} },
+      Assignee: { id: 'asg', type: 'people', people: {} },
+      Estimate: { id: 'est', type: 'rich_text', rich_text: {} },
+      Tags: { id: 'tag', type: 'multi_select', multi_select: { options: [{ id: 'o1', name: 'ui', color: 'blue' }] } },
+      Stage: { id: 'stg', type: 'status', status: { options: [{ id: 's1', name: 'Todo' }] } },
+      Legacy: { id: 'leg', type: 'checkbox', checkbox: {} },
+      ...overrides
+    }
+  };
+}
+
+const declared = {
+  title: 'Tasks',
+  properties: {
+    Name: 'title',
+    Owner: { type: 'people', renamedFrom: 'Assignee' },
+    Estimate: { type: 'number', format: 'number' },
+    Tags: { type: 'multi_select', options: ['ui', { name: 'api', color: 'green' }] },
+    Stage: { type: 'status', options: ['Todo', 'Shipped'] },
+    Due: 'date'
+  }
+};
+
+test('diffSchema plans renames, retypes, new options and new properties in one patch', () => {
+  const plan = diffSchema(liveDatabase(), declared);
+
+  assert.deepEqual(plan.changes, [
+    { action: 'rename', property: 'Owner', from: 'Assignee' },
+    { action: 'retype', property: 'Estimate', from: 'rich_text', to: 'number' },
+    { action: 'add_options', property: 'Tags', options: ['api'] },
+    { action: 'add', property: 'Due', type: 'date' }
+  ]);
+  assert.deepEqual(plan.patch, {
+    properties: {
+      asg: { name: 'Owner' },
+      est: { number: { format: 'number' } },
+      // Existing options are sent back by id so they are kept
+      tag: { multi_select: { options: [{ id: 'o1', name: 'ui' }, { name: 'api', color: 'green' }] } },
+      Due: { date: {} }
+    }
+  });
+  assert.deepEqual(plan.extra, ['Legacy']);
+});
+
+test('diffSchema only removes properties missing from the schema when allowed', () => {
+  const plan = diffSchema(liveDatabase(), declared, { allowRemovals: true });
+  assert.deepEqual(plan.changes.at(-1), { action: 'remove', property: 'Legacy' });
+  assert.equal(plan.patch.properties.leg, null);
+  assert.deepEqual(plan.extra, []);
+  assert.match(formatPlan(plan), /^- remove Legacy$/m);
+});
+
+test('diffSchema warns about status changes the API cannot make instead of planning them', () => {
+  const plan = diffSchema(liveDatabase(), {
+    properties: { Name: 'title', Phase: { type: 'status' }, Legacy: 'status' }
+  });
+
+  assert.deepEqual(plan.changes, []);
+  assert.equal(plan.patch, null);
+  assert.deepEqual(plan.warnings, [
+    'Status properties cannot be created through the API; add "Phase" in Notion',
+    '"Legacy" cannot be changed to a status property through the API'
+  ]);
+
+  const options = diffSchema(liveDatabase(), { properties: { Stage: declared.properties.Stage } });
+  assert.deepEqual(options.warnings, [
+    'Status options cannot be added through the API; add Shipped to "Stage" in Notion'
+  ]);
+});
+
+test('diffSchema reports no changes for a matching database', () => {
+  const plan = diffSchema(liveDatabase(), { properties: { Name: 'title', Legacy: 'checkbox' } });
+  assert.equal(plan.patch, null);
+  assert.match(formatPlan(plan), /^No changes: the database matches the schema$/m);
+});
+
+test('diffDatabaseSchema reads the live schema past the response cache', async () => {
+  let database = liveDatabase();
+  const { api, requests } = createTestClient(() => database);
+  api.use(createCachePlugin());
+
+  await api.getDatabase(DATABASE_ID);
+  // Someone adds the option in Notion after the schema was cached
+  const options = [{ id: 'o1', name: 'ui' }, { id: 'o2', name: 'api' }];
+  database = liveDatabase({ Tags: { id: 'tag', type: 'multi_select', multi_select: { options } } });
+
+  const plan = await api.diffDatabaseSchema(DATABASE_ID, { properties: { Tags: declared.properties.Tags } });
+  assert.equal(requests.length, 2);
+  assert.deepEqual(plan.changes, []);
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SyncEngine, createMemoryStore } from '../src/utils/sync.js';
+import { createTestClient, responseError } from './helpers/client.js';
+
+const DATABASE_ID = '8192a3b4-c5d6-4e7f-8091-a2b3c4d5e6f7';
+const OTHER_DATABASE_ID = '92a3b4c5-d6e7-4f80-91a2-b3c4d5e6f708';
+
+/**
+ * Page id from a short name, so assertions stay readable
+ */
+const pageId = (name) => `00000000-0000-4000-8000-${name.padStart(12, '0')}`;
+
+/**
+ * Client for one database whose pages can be edited, archived, moved or deleted between runs
+ * Queries honor the on_or_after filter and sort by last_edited_time like Notion does
+ */
+function createSyncClient() {
+  const pages = new Map();
+  const client = createTestClient((request) => {
+    if (request.method === 'POST' && request.child === 'query') {
+      const since = request.body.filter?.last_edited_time?.on_or_after ?? '';
+      const results = [...pages.values()]
+        .filter(page => !page.archived && page.parent.database_id === DATABASE_ID)
+        .filter(page => page.last_edited_time >= since)
+        .sort((left, right) => left.last_edited_time.localeCompare(right.last_edited_time));
+      return { object: 'list', results, has_more: false, next_cursor: null };
+    }
+    const page = pages.get(request.id);
+    if (!page) {
+      throw responseError(request, 404, { object: 'error', code: 'object_not_found', message: 'Not found' });
+    }
+    return page;
+  });
+
+  const edit = (name, lastEdited, changes = {}) => {
+    const id = pageId(name);
+    const parent = { type: 'database_id', database_id: DATABASE_ID };
+    const page = pages.get(id) || { object: 'page', id, parent, archived: false };
+    pages.set(id, { ...page, last_edited_time: lastEdited, ...changes });
+  };
+  return { ...client, pages, edit };
+}
+
+/**
+ * Changes as 'type page reason' lines
+ */
+const summary = (changes) => changes.map(change =>
+  [change.type, change.pageId.slice(-1), change.reason].filter(Boolean).join(' '));
+
+test('the first run reports every page as created', async () => {
+  const { api, edit } = createSyncClient();
+  edit('1', '2024-05-01T10:00:00.000Z');
+  edit('2', '2024-05-01T11:00:00.000Z');
+
+  const result = await new SyncEngine(api).sync(DATABASE_ID);
+  assert.equal(result.full, true);
+  assert.deepEqual(summary(result.changes), ['create 1', 'create 2']);
+  assert.equal(result.watermark, '2024-05-01T11:00:00.000Z');
+});
+
+test('pages repeated by on_or_after are skipped unless they changed', async () => {
+  const { api, edit } = createSyncClient();
+  const sync = new SyncEngine(api);
+  edit('1', '2024-05-01T10:00:00.000Z');
+  edit('2', '2024-05-01T11:00:00.000Z');
+  await sync.sync(DATABASE_ID);
+
+  const unchanged = await sync.sync(DATABASE_ID);
+  assert.equal(unchanged.full, false);
+  assert.deepEqual(unchanged.changes, []);
+
+  // Edited within the watermark's minute: Notion reports the same rounded timestamp range
+  edit('1', '2024-05-01T11:00:00.000Z');
+  edit('3', '2024-05-01T11:00:00.000Z');
+  assert.deepEqual(summary((await sync.sync(DATABASE_ID)).changes), ['update 1', 'create 3']);
+});
+
+test('the watermark is saved only after every listener has resolved', async () => {
+  const { api, edit } = createSyncClient();
+  const store = createMemoryStore();
+  const sync = new SyncEngine(api, { store });
+  edit('1', '2024-05-01T10:00:00.000Z');
+
+  let release;
+  const delivered = new Promise(resolve => {
+    release = resolve;
+  });
+  sync.subscribe(() => delivered);
+
+  const running = sync.sync(DATABASE_ID);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal((await sync.getState(DATABASE_ID)).watermark, null);
+
+  release();
+  await running;
+  assert.equal((await sync.getState(DATABASE_ID)).watermark, '2024-05-01T10:00:00.000Z');
+});
+
+test('a listener that throws leaves the state unsaved, so the next run delivers the change again', async () => {
+  const { api, edit } = createSyncClient();
+  const sync = new SyncEngine(api);
+  edit('1', '2024-05-01T10:00:00.000Z');
+
+  const unsubscribe = sync.subscribe(() => {
+    throw new Error('mirror offline');
+  });
+  await assert.rejects(sync.sync(DATABASE_ID), { message: 'mirror offline' });
+  assert.deepEqual(await sync.getState(DATABASE_ID), { watermark: null, pages: {}, lastSyncedAt: null });
+
+  unsubscribe();
+  assert.deepEqual(summary((await sync.sync(DATABASE_ID)).changes), ['create 1']);
+});
+
+test('pages that left the database are reported as archived, moved or not_found', async () => {
+  const { api, edit, pages } = createSyncClient();
+  const sync = new SyncEngine(api);
+  ['1', '2', '3', '4'].forEach(name => edit(name, '2024-05-01T10:00:00.000Z'));
+  await sync.sync(DATABASE_ID);
+
+  edit('1', '2024-05-01T12:00:00.000Z', { archived: true });
+  edit('2', '2024-05-01T12:00:00.000Z', { parent: { type: 'database_id', database_id: OTHER_DATABASE_ID } });
+  pages.delete(pageId('3'));
+
+  const result = await sync.sync(DATABASE_ID);
+  assert.deepEqual(summary(result.changes), ['delete 1 archived', 'delete 2 moved', 'delete 3 not_found']);
+  assert.equal(result.deleted, 3);
+  assert.deepEqual(Object.keys((await sync.getState(DATABASE_ID)).pages), [pageId('4')]);
+});